@@ -0,0 +1,51 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Name of a temporary file written by writeAtomic: hidden, with the process id,
+ * a counter and the extension of the output (`.photo.1234-1.tmp.webp`)
+ */
+const TEMP_FILE_PATTERN = /^\..+\.\d+-\d+\.tmp(\.[^.]+)?$/;
+
+/**
+ * Temporary files written in this process, so concurrent writes of one path get their own
+ */
+let tempFileCount = 0;
+
+/**
+ * Writes a file through a temporary file in the same folder and renames it
+ * into place once it is complete. An interrupted run leaves at most a hidden
+ * `.tmp` file behind, never a truncated output that --skip-existing or
+ * --cache would take for a finished one.
+ * @param {string} file - Output file path
+ * @param {Function} write - Writes the data to the temporary file path it is given
+ * @returns {Promise<*>} - Value returned by `write` (e.g. sharp output info)
+ */
+async function writeAtomic(file, write) {
+  // The extension is kept, as sharp picks the output format from it
+  const ext = path.extname(file);
+  const name = `.${path.basename(file, ext)}.${process.pid}-${++tempFileCount}.tmp${ext}`;
+  const tempFile = path.join(path.dirname(file), name);
+  try {
+    const result = await write(tempFile);
+    await fs.rename(tempFile, file);
+    return result;
+  } catch (err) {
+    await fs.remove(tempFile);
+    throw err;
+  }
+}
+
+/**
+ * Checks whether a file is a temporary file left by an interrupted writeAtomic
+ * @param {string} file - File path
+ * @returns {boolean} - True if the file name matches the temporary file names
+ */
+function isTempFile(file) {
+  return TEMP_FILE_PATTERN.test(path.basename(file));
+}
+
+module.exports = {
+  writeAtomic,
+  isTempFile,
+};
@@ -0,0 +1,66 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getFileOptions } = require('./config');
+
+/**
+ * Finds the image outputs of a run that are larger than their size budget
+ * (`maxOutputSize`, set globally or per rule). Outputs kept from an earlier
+ * run are checked too.
+ * @param {Object[]} fileResults - Results returned by processFile
+ * @param {Object} options - Optimization options with optional `rules`
+ * @returns {Promise<Object[]>} - Violations with `file`, `output`, `size`, `budget` and `over`
+ */
+async function checkBudgets(fileResults, options) {
+  const violations = [];
+
+  for (const fileResult of fileResults) {
+    const budget = getFileOptions(fileResult.file, options).maxOutputSize;
+    if (!budget) {
+      continue;
+    }
+
+    for (const output of await getImageOutputs(fileResult)) {
+      if (output.size > budget) {
+        violations.push({
+          file: fileResult.file,
+          output: output.path,
+          size: output.size,
+          budget,
+          over: output.size - budget,
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Lists the image outputs of a file result with their sizes
+ * @param {Object} fileResult - Result returned by processFile
+ * @returns {Promise<Object[]>} - Outputs with `path` and `size`
+ */
+async function getImageOutputs(fileResult) {
+  // WebP sources are copied as-is but are still images
+  const isWebp = path.extname(fileResult.file).toLowerCase() === '.webp';
+
+  if (fileResult.action === 'optimized' || (fileResult.action === 'copied' && isWebp)) {
+    return fileResult.outputs;
+  }
+
+  if (fileResult.action === 'skipped' && fileResult.outputPaths && (fileResult.isImage || isWebp)) {
+    const outputs = [];
+    for (const outputPath of fileResult.outputPaths) {
+      if (fs.existsSync(outputPath)) {
+        outputs.push({ path: outputPath, size: (await fs.stat(outputPath)).size });
+      }
+    }
+    return outputs;
+  }
+
+  return [];
+}
+
+module.exports = {
+  checkBudgets,
+};
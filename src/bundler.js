@@ -0,0 +1,288 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  IMAGE_EXTENSIONS,
+  processDirectory,
+  optimizeFile,
+  getOutputLocation,
+} = require('./optiweb');
+const { loadCache, getOptionsFingerprint } = require('./cache');
+const { getFileOptions } = require('./config');
+const { MIME_TYPES, groupPictureOutputs, getOutputFormat } = require('./manifest');
+const { SUPPORTED_FORMATS, withDefaults } = require('./options');
+const { parseSizes } = require('./naming');
+
+/**
+ * Extensions of the build assets that are optimized
+ */
+const ASSET_EXTENSIONS = [...IMAGE_EXTENSIONS, '.svg'];
+
+/**
+ * Query parameters that turn an image import into srcset metadata
+ * (hero.jpg?sizes=400,800&format=webp)
+ */
+const IMPORT_QUERY = /[?&](sizes|format|quality)=/;
+
+/**
+ * File paths of the images whose imports can have srcset query parameters
+ */
+const IMPORT_EXTENSIONS = new RegExp(
+  `(${IMAGE_EXTENSIONS.map((ext) => ext.replace('.', '\\.')).join('|')})$`,
+  'i',
+);
+
+/**
+ * Returns the cache folder of the bundler plugins
+ * @param {Object} options - Plugin options (`cacheDir`)
+ * @returns {string} - Absolute cache folder path
+ */
+function getCacheDir(options) {
+  return path.resolve(options.cacheDir || path.join('node_modules', '.cache', 'optiweb'));
+}
+
+/**
+ * Checks whether a build asset is an image the plugins optimize
+ * @param {string} fileName - Asset file name
+ * @returns {boolean} - True for raster images and SVG
+ */
+function isImageAsset(fileName) {
+  return ASSET_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Optimizes the image assets of a build with processDirectory. The assets are
+ * written to a staging folder in the cache folder and processed with the
+ * content-hash cache, so assets that did not change since the last build are
+ * not encoded again.
+ * @param {Object[]} assets - Assets with `fileName` (relative to the build output, forward
+ *   slashes) and `source` data
+ * @param {Object} options - Plugin options (optimization options and `cacheDir`)
+ * @param {string} scope - Build output the assets belong to, so parallel builds do not
+ *   share a staging folder
+ * @returns {Promise<Object>} - `updated` asset data keyed by file name, and `emitted`
+ *   extra outputs (other formats and sizes) with `fileName` and `source`; assets without
+ *   an output in their own format keep their data
+ */
+async function optimizeAssets(assets, options, scope) {
+  const scopeKey = crypto.createHash('sha1').update(scope).digest('hex').slice(0, 8);
+  const stagingDir = path.join(getCacheDir(options), 'assets', scopeKey);
+  const inputDir = path.join(stagingDir, 'input');
+  const outputDir = path.join(stagingDir, 'output');
+
+  await fs.emptyDir(inputDir);
+  for (const asset of assets) {
+    await fs.outputFile(path.join(inputDir, asset.fileName), asset.source);
+  }
+
+  const runOptions = {
+    ...options,
+    cache: true,
+    // The staging output holds nothing but outputs, so those of renamed or removed assets go
+    mirror: true,
+    mirrorAll: true,
+    silent: true,
+    watch: false,
+    dryRun: false,
+    estimate: false,
+    manifest: null,
+    report: null,
+    placeholders: [],
+    htmlSnippets: false,
+    rewriteReferences: false,
+  };
+  await processDirectory(inputDir, outputDir, runOptions);
+
+  // The cache lists the outputs of every asset, written now or by an earlier build
+  const { entries } = await loadCache(outputDir);
+  const updated = new Map();
+  const emitted = [];
+  for (const asset of assets) {
+    const entry = entries[asset.fileName];
+    if (!entry) {
+      continue; // Assets that failed to process are kept as they are
+    }
+    // The bundle refers to the asset by its name, so a slugified copy replaces its data
+    const location = getOutputLocation(asset.fileName, getFileOptions(asset.fileName, runOptions));
+    const main = path.join(location.dir, location.name + path.extname(asset.fileName));
+    for (const output of entry.outputs) {
+      const fileName = output.split(path.sep).join('/');
+      const source = await fs.readFile(path.join(outputDir, output));
+      if (path.normalize(output) === main) {
+        updated.set(asset.fileName, source);
+      } else {
+        emitted.push({ fileName, source });
+      }
+    }
+  }
+
+  return { updated, emitted };
+}
+
+/**
+ * Parses an image import with srcset query parameters
+ * @param {string} id - Module id (file path with query string)
+ * @returns {Object|null} - Source `file`, `sizes`, `formats` and `quality`, or null if the
+ *   import is not a raster image with srcset parameters
+ * @throws {Error} - If a parameter is invalid
+ */
+function parseImageImport(id) {
+  const queryIndex = id.indexOf('?');
+  if (queryIndex === -1 || !IMPORT_QUERY.test(id.slice(queryIndex))) {
+    return null;
+  }
+  const file = id.slice(0, queryIndex);
+  if (!IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+    return null;
+  }
+
+  const params = new URLSearchParams(id.slice(queryIndex + 1));
+  const request = { file, sizes: null, formats: null, quality: null };
+  if (params.get('sizes')) {
+    request.sizes = parseSizes(params.get('sizes'));
+  }
+  if (params.get('format')) {
+    request.formats = [...new Set(params.get('format').toLowerCase().split(','))];
+    const invalidFormat = request.formats.find((format) => !SUPPORTED_FORMATS.includes(format));
+    if (invalidFormat) {
+      throw new Error(
+        `Invalid output format: ${invalidFormat} in ${path.basename(id)}. ` +
+          `Supported formats: ${SUPPORTED_FORMATS.join(', ')}`,
+      );
+    }
+  }
+  if (params.has('quality')) {
+    request.quality = Number(params.get('quality'));
+    if (!Number.isInteger(request.quality) || request.quality < 0 || request.quality > 100) {
+      throw new Error(`Quality level must be between 0-100 in ${path.basename(id)}.`);
+    }
+  }
+  return request;
+}
+
+/**
+ * Writes the outputs of an image import to the cache folder, or reads them
+ * from there when the image, its parameters and the options did not change
+ * @param {Object} request - Import returned by parseImageImport
+ * @param {Object} options - Plugin options (optimization options and `cacheDir`)
+ * @returns {Promise<Object>} - Source `width` and `height`, and `outputs` with `path`,
+ *   `format`, `width`, `height`, `size` and `density`
+ */
+async function createImageVariants(request, options) {
+  const baseOptions = withDefaults(options);
+  const variantOptions = {
+    ...baseOptions,
+    formats: request.formats || baseOptions.formats,
+    resize: request.sizes ? { sizes: request.sizes } : null,
+    outputTemplate: null,
+    slug: false,
+    placeholders: [],
+    silent: true,
+  };
+  if (request.quality !== null) {
+    // The import quality replaces the per-format qualities and the quality search
+    Object.assign(variantOptions, {
+      jpgQuality: request.quality,
+      pngQuality: request.quality,
+      webpQuality: request.quality,
+      avifQuality: request.quality,
+      targetSsim: null,
+      maxBytes: null,
+    });
+  }
+
+  const name = path.basename(request.file, path.extname(request.file));
+  const key = crypto
+    .createHash('sha1')
+    .update(name)
+    .update(await fs.readFile(request.file))
+    .update(getOptionsFingerprint(variantOptions))
+    .digest('hex');
+  const dir = path.join(getCacheDir(options), 'imports', key);
+  const variantsFile = path.join(dir, 'variants.json');
+
+  if (!(await fs.pathExists(variantsFile))) {
+    const result = await optimizeFile(request.file, dir, variantOptions, { dir: '.', name });
+    // Written last, so an interrupted build encodes the image again
+    await fs.writeJson(variantsFile, {
+      width: result.width,
+      height: result.height,
+      outputs: result.outputs.map((output) => ({
+        file: path.relative(dir, output.path),
+        width: output.width,
+        height: output.height,
+        size: output.size,
+        ...(output.density && { density: output.density }),
+      })),
+    });
+  }
+
+  const variants = await fs.readJson(variantsFile);
+  return {
+    width: variants.width,
+    height: variants.height,
+    outputs: variants.outputs.map((output) => ({
+      ...output,
+      path: path.join(dir, output.file),
+      format: getOutputFormat(output.file),
+    })),
+  };
+}
+
+/**
+ * Creates the JavaScript module of an image import. Its default export has
+ * the `src`, `width` and `height` of the fallback image, its `srcset`, a
+ * `sources` entry (`type`, `srcset`) per modern format and every output.
+ * @param {Object} variants - Variants returned by createImageVariants
+ * @param {string[]} urls - JavaScript expression of the URL of each output
+ * @returns {string} - ES module code
+ */
+function createImageModule(variants, urls) {
+  const outputs = variants.outputs.map((output, index) => ({ ...output, index }));
+  const { sources, fallback, main, byDensity } = groupPictureOutputs(outputs);
+  const srcset = (list) =>
+    `srcset([${list
+      .map(
+        (output) =>
+          `[${output.index}, '${byDensity ? output.density : output.width}${byDensity ? 'x' : 'w'}']`,
+      )
+      .join(', ')}])`;
+
+  return [
+    'const outputs = [',
+    ...outputs.map(
+      (output) =>
+        `  { url: ${urls[output.index]}, format: '${output.format}', ` +
+        `type: '${MIME_TYPES[output.format]}', width: ${output.width}, ` +
+        `height: ${output.height}, size: ${output.size}` +
+        `${output.density ? `, density: ${output.density}` : ''} },`,
+    ),
+    '];',
+    'const srcset = (entries) =>',
+    "  entries.map(([index, descriptor]) => `${outputs[index].url} ${descriptor}`).join(', ');",
+    'export default {',
+    `  src: outputs[${main.index}].url,`,
+    `  width: ${main.width},`,
+    `  height: ${main.height},`,
+    `  srcset: ${srcset(fallback)},`,
+    sources.length > 0 ? '  sources: [' : '  sources: [],',
+    ...sources.map(
+      (source) =>
+        `    { type: '${MIME_TYPES[source.format]}', srcset: ${srcset(source.outputs)} },`,
+    ),
+    ...(sources.length > 0 ? ['  ],'] : []),
+    '  outputs,',
+    '};',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  IMPORT_QUERY,
+  IMPORT_EXTENSIONS,
+  isImageAsset,
+  optimizeAssets,
+  parseImageImport,
+  createImageVariants,
+  createImageModule,
+};
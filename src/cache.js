@@ -0,0 +1,155 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const packageJson = require('../package.json');
+const { getWatermarkStamp } = require('./watermark');
+
+/**
+ * Cache manifest file name, written to the output directory
+ */
+const CACHE_FILE_NAME = '.optiweb-cache.json';
+
+/**
+ * Manifest format version; manifests with another version are ignored
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * Option keys that change the produced outputs and are part of the fingerprint
+ */
+const FINGERPRINT_KEYS = [
+  'formats',
+  'webp',
+  'quality',
+  'jpgQuality',
+  'pngQuality',
+  'webpQuality',
+  'webpEffort',
+  'avifQuality',
+  'avifEffort',
+  'pngColors',
+  'pngDither',
+  'pngEffort',
+  'pngLossless',
+  'keepOriginalIfSmaller',
+  'targetSsim',
+  'maxBytes',
+  'autoOrient',
+  'metadata',
+  'copyright',
+  'artist',
+  'svgMinify',
+  'svgPrecision',
+  'rasterizeSvg',
+  'resize',
+  'outputTemplate',
+  'cropStrategy',
+  'focalPoint',
+  'onExistingWebp',
+  'watermark',
+  'watermarkText',
+  'watermarkPosition',
+  'watermarkMargin',
+  'watermarkOpacity',
+  'watermarkScale',
+  'watermarkColor',
+  'onlyResize',
+  'webpLossless',
+  'webpNearLossless',
+  'slug',
+  'slugDirs',
+  'rewriteReferences',
+];
+
+/**
+ * Loads the cache manifest from an output directory
+ * @param {string} outputDir - Output directory path
+ * @returns {Promise<Object>} - Cache with `file` path and `entries` keyed by source path
+ */
+async function loadCache(outputDir) {
+  const file = path.join(outputDir, CACHE_FILE_NAME);
+  const cache = { file, entries: {} };
+
+  if (!fs.existsSync(file)) {
+    return cache;
+  }
+
+  try {
+    const manifest = await fs.readJson(file);
+    if (manifest.version === CACHE_VERSION && manifest.files) {
+      cache.entries = manifest.files;
+    }
+  } catch (err) {
+    // A corrupt manifest is treated as an empty cache
+  }
+
+  return cache;
+}
+
+/**
+ * Writes the cache manifest
+ * @param {Object} cache - Cache returned by loadCache
+ * @param {Object} entries - Entries to write, keyed by source path
+ */
+async function saveCache(cache, entries) {
+  const sorted = {};
+  Object.keys(entries)
+    .sort()
+    .forEach((key) => {
+      sorted[key] = entries[key];
+    });
+  await fs.writeJson(cache.file, { version: CACHE_VERSION, files: sorted }, { spaces: 2 });
+}
+
+/**
+ * Computes the content hash of a file
+ * @param {string} file - File path
+ * @returns {Promise<string>} - Hex-encoded SHA-1 hash
+ */
+async function hashFile(file) {
+  const content = await fs.readFile(file);
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Computes a fingerprint of the options that affect the produced outputs
+ * @param {Object} options - Optimization options
+ * @returns {string} - Hex-encoded fingerprint
+ */
+function getOptionsFingerprint(options) {
+  const relevant = { version: packageJson.version };
+  FINGERPRINT_KEYS.forEach((key) => {
+    relevant[key] = options[key] === undefined ? null : options[key];
+  });
+  if (options.watermark) {
+    relevant.watermarkStamp = getWatermarkStamp(options.watermark);
+  }
+  return crypto.createHash('sha1').update(JSON.stringify(relevant)).digest('hex');
+}
+
+/**
+ * Checks whether a cache entry is still valid for a source file
+ * @param {Object} entry - Cache entry (hash, fingerprint, outputs)
+ * @param {Object} current - Current source content `hash`, options `fingerprint` and
+ *   `outputs`; outputs change name when slugified names start or stop colliding
+ * @param {string} outputDir - Output directory path
+ * @returns {boolean} - True if the outputs are up to date
+ */
+function isCacheEntryValid(entry, current, outputDir) {
+  return Boolean(
+    entry &&
+    entry.hash === current.hash &&
+    entry.fingerprint === current.fingerprint &&
+    entry.outputs.join('\n') === current.outputs.join('\n') &&
+    entry.outputs.every((output) => fs.existsSync(path.join(outputDir, output))),
+  );
+}
+
+module.exports = {
+  CACHE_FILE_NAME,
+  loadCache,
+  saveCache,
+  hashFile,
+  getOptionsFingerprint,
+  isCacheEntryValid,
+};
@@ -0,0 +1,318 @@
+const fs = require('fs-extra');
+const path = require('path');
+const micromatch = require('micromatch');
+const { getWatermarkOptions } = require('./watermark');
+
+/**
+ * Config file names searched for automatically, in order
+ */
+const CONFIG_FILE_NAMES = ['optiweb.config.js', '.optiwebrc.json'];
+
+/**
+ * Option keys allowed at the top level of a config file
+ */
+const CONFIG_KEYS = [
+  'input',
+  'output',
+  'webp',
+  'formats',
+  'quality',
+  'jpgQuality',
+  'pngQuality',
+  'webpQuality',
+  'webpEffort',
+  'avifQuality',
+  'avifEffort',
+  'pngColors',
+  'pngDither',
+  'pngEffort',
+  'pngLossless',
+  'keepOriginalIfSmaller',
+  'targetSsim',
+  'maxBytes',
+  'maxOutputSize',
+  'autoOrient',
+  'metadata',
+  'copyright',
+  'artist',
+  'svgMinify',
+  'svgPrecision',
+  'rasterizeSvg',
+  'failOnBudget',
+  'failOnError',
+  'skipExisting',
+  'cache',
+  'mirror',
+  'mirrorAll',
+  'watch',
+  'dryRun',
+  'estimate',
+  'manifest',
+  'htmlSnippets',
+  'htmlSizes',
+  'publicPath',
+  'report',
+  'reportFile',
+  'placeholders',
+  'placeholdersFile',
+  'verbose',
+  'ignore',
+  'resize',
+  'resizeMode',
+  'maxWidth',
+  'maxHeight',
+  'sizes',
+  'suffixPattern',
+  'outputTemplate',
+  'aspectRatios',
+  'cropStrategy',
+  'focalPoint',
+  'onExistingWebp',
+  'watermark',
+  'watermarkText',
+  'watermarkPosition',
+  'watermarkMargin',
+  'watermarkOpacity',
+  'watermarkScale',
+  'watermarkColor',
+  'watermarkFiles',
+  'onlyResize',
+  'slug',
+  'slugDirs',
+  'slugStrict',
+  'renameMapFile',
+  'rewriteReferences',
+  'webpLossless',
+  'webpNearLossless',
+  'concurrency',
+];
+
+/**
+ * Option keys that apply to the whole run and cannot be set in a rule
+ */
+const RUN_KEYS = [
+  'input',
+  'output',
+  'ignore',
+  'verbose',
+  'concurrency',
+  'cache',
+  'mirror',
+  'mirrorAll',
+  'watch',
+  'dryRun',
+  'estimate',
+  'manifest',
+  'htmlSnippets',
+  'htmlSizes',
+  'publicPath',
+  'report',
+  'reportFile',
+  'placeholdersFile',
+  'slugDirs',
+  'slugStrict',
+  'renameMapFile',
+  'failOnBudget',
+  'failOnError',
+];
+
+/**
+ * Option keys that must be booleans
+ */
+const BOOLEAN_KEYS = [
+  'webp',
+  'autoOrient',
+  'svgMinify',
+  'rasterizeSvg',
+  'failOnBudget',
+  'failOnError',
+  'skipExisting',
+  'cache',
+  'mirror',
+  'mirrorAll',
+  'watch',
+  'dryRun',
+  'estimate',
+  'htmlSnippets',
+  'verbose',
+  'onlyResize',
+  'slug',
+  'slugDirs',
+  'slugStrict',
+  'rewriteReferences',
+  'webpLossless',
+  'webpNearLossless',
+  'pngLossless',
+  'keepOriginalIfSmaller',
+];
+
+/**
+ * Option keys that are resolved together: a layer that sets any of them
+ * replaces all of them from lower layers
+ */
+const OPTION_GROUPS = [
+  ['sizes', 'resize', 'maxWidth', 'maxHeight'],
+  ['webp', 'formats'],
+  ['watermark', 'watermarkText'],
+];
+
+/**
+ * Finds a config file in a directory
+ * @param {string} dir - Directory to search
+ * @returns {string|null} - Absolute config file path, or null if none exists
+ */
+function findConfigFile(dir) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const configPath = path.join(dir, name);
+    if (fs.existsSync(configPath)) {
+      return configPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads and validates a config file
+ * @param {string} configPath - Config file path
+ * @returns {Object} - Config with `file`, `options` and `rules`
+ * @throws {Error} - If the file cannot be read or contains invalid options
+ */
+function loadConfig(configPath) {
+  const file = path.resolve(configPath);
+  const fileName = path.basename(file);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  let content;
+  try {
+    content = path.extname(file) === '.js' ? require(file) : fs.readJsonSync(file);
+  } catch (err) {
+    throw new Error(`Could not read config file ${fileName}: ${err.message}`);
+  }
+
+  if (!isPlainObject(content)) {
+    throw new Error(`Config file ${fileName} must export an object.`);
+  }
+
+  const { rules = {}, ...options } = content;
+  validateKeys(options, CONFIG_KEYS, fileName);
+
+  if (!isPlainObject(rules)) {
+    throw new Error(`"rules" in ${fileName} must be an object keyed by glob pattern.`);
+  }
+
+  // Input, output, manifest, report and watermark paths are relative to the config file
+  const configDir = path.dirname(file);
+  if (options.input) options.input = path.resolve(configDir, options.input);
+  if (options.output) options.output = path.resolve(configDir, options.output);
+  if (options.manifest) options.manifest = path.resolve(configDir, options.manifest);
+  if (options.reportFile) options.reportFile = path.resolve(configDir, options.reportFile);
+  if (options.watermark) options.watermark = path.resolve(configDir, options.watermark);
+
+  const ruleList = Object.keys(rules).map((pattern, index) => {
+    const ruleOptions = rules[pattern];
+    const location = `${fileName} (rule "${pattern}")`;
+
+    if (!isPlainObject(ruleOptions)) {
+      throw new Error(`Rule "${pattern}" in ${fileName} must be an object.`);
+    }
+    const runKey = Object.keys(ruleOptions).find((key) => RUN_KEYS.includes(key));
+    if (runKey) {
+      throw new Error(`Option "${runKey}" cannot be set in a rule: ${location}`);
+    }
+    validateKeys(ruleOptions, CONFIG_KEYS, location);
+    if (ruleOptions.watermark) {
+      ruleOptions.watermark = path.resolve(configDir, ruleOptions.watermark);
+    }
+
+    return { pattern, options: ruleOptions, index };
+  });
+
+  return { file, options, rules: sortRules(ruleList) };
+}
+
+/**
+ * Merges option layers, later layers taking precedence
+ * @param {...Object} layers - Raw option objects, lowest precedence first
+ * @returns {Object} - Merged raw options
+ */
+function mergeOptionLayers(...layers) {
+  return layers.reduce((merged, layer) => {
+    const result = { ...merged };
+    OPTION_GROUPS.forEach((group) => {
+      if (group.some((key) => layer[key] !== undefined)) {
+        group.forEach((key) => delete result[key]);
+      }
+    });
+    Object.keys(layer).forEach((key) => {
+      if (layer[key] !== undefined) {
+        result[key] = layer[key];
+      }
+    });
+    return result;
+  }, {});
+}
+
+/**
+ * Sorts rules from most to least specific. Specificity is the number of
+ * literal (non-wildcard) characters in the pattern; on a tie the rule
+ * defined later in the file wins.
+ * @param {Array} rules - Rules with `pattern` and `index`
+ * @returns {Array} - Sorted rules
+ */
+function sortRules(rules) {
+  const specificity = (pattern) => pattern.replace(/[*?[\]{}()!+@]/g, '').length;
+  return [...rules].sort(
+    (a, b) => specificity(b.pattern) - specificity(a.pattern) || b.index - a.index,
+  );
+}
+
+/**
+ * Returns the options that apply to a file: the base options with those of
+ * the first matching rule applied on top. Rules are expected to be ordered
+ * from most to least specific. Files outside `watermarkFiles` get no watermark.
+ * @param {string} file - File path relative to the input directory
+ * @param {Object} options - Base options with optional `rules` ({ pattern, options })
+ * @returns {Object} - Options for the file
+ */
+function getFileOptions(file, options) {
+  const rule =
+    options.rules && options.rules.find((r) => micromatch.isMatch(file, r.pattern, { dot: true }));
+  return getWatermarkOptions(file, rule ? { ...options, ...rule.options } : options);
+}
+
+/**
+ * Checks that an options object only contains known keys with valid booleans
+ * @param {Object} options - Options to check
+ * @param {string[]} allowedKeys - Allowed option keys
+ * @param {string} location - Description of where the options come from
+ * @throws {Error} - If an unknown key or an invalid boolean is found
+ */
+function validateKeys(options, allowedKeys, location) {
+  Object.keys(options).forEach((key) => {
+    if (!allowedKeys.includes(key)) {
+      throw new Error(`Unknown option "${key}" in ${location}`);
+    }
+    if (BOOLEAN_KEYS.includes(key) && typeof options[key] !== 'boolean') {
+      throw new Error(`Option "${key}" must be true or false in ${location}`);
+    }
+  });
+}
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  findConfigFile,
+  loadConfig,
+  mergeOptionLayers,
+  getFileOptions,
+};
@@ -0,0 +1,131 @@
+const fs = require('fs-extra');
+const sharp = require('sharp');
+
+/**
+ * Supported values for --crop-strategy
+ */
+const CROP_STRATEGIES = ['center', 'attention', 'entropy'];
+
+/**
+ * Suffix of focal point sidecar files (photo.jpg → photo.jpg.focal.json)
+ */
+const FOCAL_POINT_SUFFIX = '.focal.json';
+
+/**
+ * Parses an aspect ratio such as "16:9" or "1.91:1"
+ * @param {string} value - Aspect ratio as width:height
+ * @returns {Object|null} - `label` (width:height), `ratio` (width / height) and
+ *   `suffix` (16x9, for file names), or null if invalid
+ */
+function parseAspectRatio(value) {
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/);
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+    return null;
+  }
+  return {
+    label: `${match[1]}:${match[2]}`,
+    ratio: Number(match[1]) / Number(match[2]),
+    suffix: `${match[1]}x${match[2]}`,
+  };
+}
+
+/**
+ * Checks a focal point given in a config file or sidecar
+ * @param {*} value - Focal point with `x` and `y` between 0 and 1
+ * @returns {boolean} - True if the focal point is valid
+ */
+function isValidFocalPoint(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    ['x', 'y'].every(
+      (axis) => typeof value[axis] === 'number' && value[axis] >= 0 && value[axis] <= 1,
+    )
+  );
+}
+
+/**
+ * Applies the focal point sidecar of an image, if there is one, on top of the options
+ * @param {string} inputFile - Input image path
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Object>} - Options, with `focalPoint` from the sidecar
+ * @throws {Error} - If the sidecar cannot be read or holds an invalid focal point
+ */
+async function withFocalPoint(inputFile, options) {
+  const sidecar = `${inputFile}${FOCAL_POINT_SUFFIX}`;
+  if (!(await fs.pathExists(sidecar))) {
+    return options;
+  }
+
+  let focalPoint;
+  try {
+    focalPoint = await fs.readJson(sidecar);
+  } catch (err) {
+    throw new Error(`Could not read focal point ${sidecar}: ${err.message}`);
+  }
+  if (!isValidFocalPoint(focalPoint)) {
+    throw new Error(`Invalid focal point in ${sidecar}: x and y must be between 0 and 1.`);
+  }
+  return { ...options, focalPoint: { x: focalPoint.x, y: focalPoint.y } };
+}
+
+/**
+ * Returns the largest size with an aspect ratio that fits inside an image
+ * @param {Object} size - Image `width` and `height`
+ * @param {number} ratio - Aspect ratio (width / height)
+ * @returns {Object} - `width` and `height` of the crop
+ */
+function getCropSize(size, ratio) {
+  if (size.width / size.height > ratio) {
+    return { width: Math.round(size.height * ratio), height: size.height };
+  }
+  return { width: size.width, height: Math.round(size.width / ratio) };
+}
+
+/**
+ * Resizes an image to cover a target size and crops the overflow. With a
+ * focal point the crop window is centred on it (as far as the edges allow);
+ * otherwise sharp picks the window with the crop strategy.
+ * @param {Object} image - Sharp instance
+ * @param {Object} size - Dimensions of the image as loaded (`width`, `height`)
+ * @param {Object} target - Output `width` and `height`
+ * @param {Object} options - Optimization options (`cropStrategy`, `focalPoint`)
+ * @returns {Object} - Sharp instance with resize and crop applied
+ */
+function cropImage(image, size, target, options) {
+  const { focalPoint } = options;
+  if (!focalPoint) {
+    const strategy = options.cropStrategy || 'center';
+    return image.resize({
+      width: target.width,
+      height: target.height,
+      fit: 'cover',
+      position: strategy === 'center' ? 'center' : sharp.strategy[strategy],
+    });
+  }
+
+  // Scale to cover the target, then cut the window around the focal point
+  const scale = Math.max(target.width / size.width, target.height / size.height);
+  const width = Math.max(target.width, Math.round(size.width * scale));
+  const height = Math.max(target.height, Math.round(size.height * scale));
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return image.resize({ width, height, fit: 'fill' }).extract({
+    left: clamp(Math.round(focalPoint.x * width - target.width / 2), width - target.width),
+    top: clamp(Math.round(focalPoint.y * height - target.height / 2), height - target.height),
+    width: target.width,
+    height: target.height,
+  });
+}
+
+module.exports = {
+  CROP_STRATEGIES,
+  FOCAL_POINT_SUFFIX,
+  parseAspectRatio,
+  isValidFocalPoint,
+  withFocalPoint,
+  getCropSize,
+  cropImage,
+};
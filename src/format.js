@@ -0,0 +1,21 @@
+/**
+ * Formats bytes as a human-readable string
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size string
+ */
+function formatBytes(bytes, decimals = 2) {
+  if (bytes === 0) return '0 Bytes';
+  if (bytes < 0) return `-${formatBytes(-bytes, decimals)}`;
+
+  const k = 1024;
+  const dm = decimals < 0 ? 0 : decimals;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
+module.exports = {
+  formatBytes,
+};
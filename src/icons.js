@@ -0,0 +1,200 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const { optimizeBuffer } = require('./optiweb');
+const { withDefaults, DEFAULT_ICON_OPTIONS } = require('./options');
+const { writeAtomic } = require('./atomic');
+
+/**
+ * Sizes stored in favicon.ico
+ */
+const FAVICON_SIZES = [16, 32, 48];
+
+/**
+ * PNG icons of the set: `background` icons are opaque, `safeZone` is the
+ * share of a maskable icon the source may cover (the rest is padding that
+ * launchers can crop to a circle or rounded square)
+ */
+const PNG_ICONS = [
+  { file: 'apple-touch-icon.png', size: 180, background: true },
+  { file: 'android-chrome-192x192.png', size: 192, purpose: 'any' },
+  { file: 'android-chrome-512x512.png', size: 512, purpose: 'any' },
+  {
+    file: 'maskable-icon-512x512.png',
+    size: 512,
+    purpose: 'maskable',
+    background: true,
+    safeZone: 0.8,
+  },
+];
+
+/**
+ * Web app manifest file name
+ */
+const WEB_MANIFEST_FILE = 'site.webmanifest';
+
+/**
+ * Generates a favicon and app icon set from one source image: a
+ * multi-resolution favicon.ico, an Apple touch icon, Android/PWA icons
+ * (192 and 512, and a maskable 512 with safe-zone padding), icon.svg for SVG
+ * sources and a site.webmanifest. PNG icons are written with the PNG
+ * settings of the options (`pngQuality`, `pngColors`, `pngLossless`, ...).
+ * @param {string} sourceFile - Source image (PNG, JPG or SVG), ideally square
+ * @param {string} outputDir - Output folder
+ * @param {Object} [options] - Optimization options, plus `name`, `shortName`, `themeColor`,
+ *   `backgroundColor` and `publicPath` (URL prefix of the icons, default /)
+ * @returns {Promise<Object>} - Written `outputs` (path, width, height, size), the web
+ *   app `manifest` and the `html` tags to add to the page head
+ * @throws {Error} - If the source image cannot be read
+ */
+async function generateIcons(sourceFile, outputDir, options = {}) {
+  options = { ...DEFAULT_ICON_OPTIONS, ...withDefaults(options) };
+  if (!(await fs.pathExists(sourceFile))) {
+    throw new Error(`Icon source image not found: ${sourceFile}`);
+  }
+  const source = await fs.readFile(sourceFile);
+  const isSvg = path.extname(sourceFile).toLowerCase() === '.svg';
+  const outputs = [];
+  const url = (file) => `${options.publicPath || '/'}`.replace(/\/?$/, '/') + file;
+
+  await fs.ensureDir(outputDir);
+  const writeOutput = async (file, data, size) => {
+    const outputPath = path.join(outputDir, file);
+    await writeAtomic(outputPath, (tempFile) => fs.writeFile(tempFile, data));
+    outputs.push({ path: outputPath, width: size, height: size, size: data.length });
+  };
+
+  const favicons = [];
+  for (const size of FAVICON_SIZES) {
+    favicons.push({ size, data: await renderIcon(source, isSvg, size, {}, options) });
+  }
+  await writeOutput('favicon.ico', createIco(favicons), Math.max(...FAVICON_SIZES));
+
+  for (const icon of PNG_ICONS) {
+    await writeOutput(
+      icon.file,
+      await renderIcon(source, isSvg, icon.size, icon, options),
+      icon.size,
+    );
+  }
+
+  // Browsers that support SVG favicons scale the source itself
+  if (isSvg) {
+    const { data } = await optimizeBuffer(source, { ...options, format: 'original' });
+    await writeOutput('icon.svg', data, null);
+  }
+
+  const manifest = {
+    ...(options.name && { name: options.name }),
+    ...(options.shortName && { short_name: options.shortName }),
+    icons: PNG_ICONS.filter((icon) => icon.purpose).map((icon) => ({
+      src: url(icon.file),
+      sizes: `${icon.size}x${icon.size}`,
+      type: 'image/png',
+      ...(icon.purpose !== 'any' && { purpose: icon.purpose }),
+    })),
+    theme_color: options.themeColor,
+    background_color: options.backgroundColor,
+    display: 'standalone',
+  };
+  const manifestData = Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`);
+  await writeOutput(WEB_MANIFEST_FILE, manifestData, null);
+
+  const html = [
+    `<link rel="icon" href="${url('favicon.ico')}" sizes="32x32">`,
+    ...(isSvg ? [`<link rel="icon" href="${url('icon.svg')}" type="image/svg+xml">`] : []),
+    `<link rel="apple-touch-icon" href="${url('apple-touch-icon.png')}">`,
+    `<link rel="manifest" href="${url(WEB_MANIFEST_FILE)}">`,
+    `<meta name="theme-color" content="${options.themeColor}">`,
+  ].join('\n');
+
+  return { outputs, manifest, html };
+}
+
+/**
+ * Renders the source at one icon size and optimizes it as a PNG. Sources
+ * that are not square are centred on a transparent (or background) square.
+ * @param {Buffer} source - Source image data
+ * @param {boolean} isSvg - Whether the source is an SVG image
+ * @param {number} size - Icon width and height in pixels
+ * @param {Object} icon - `background` for opaque icons and `safeZone` for maskable padding
+ * @param {Object} options - Optimization options with `backgroundColor`
+ * @returns {Promise<Buffer>} - PNG data
+ */
+async function renderIcon(source, isSvg, size, icon, options) {
+  const inner = Math.round(size * (icon.safeZone || 1));
+  const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+
+  // SVG sources are rendered at the icon size instead of scaled from their default size
+  let inputOptions = {};
+  if (isSvg) {
+    const metadata = await sharp(source).metadata();
+    const scale = inner / Math.max(metadata.width, metadata.height);
+    inputOptions = { density: Math.min(100000, Math.max(1, (metadata.density || 72) * scale)) };
+  }
+
+  const padding = size - inner;
+  const rendered = await sharp(source, inputOptions)
+    .rotate()
+    .resize(inner, inner, { fit: 'contain', background: transparent })
+    .extend({
+      top: Math.floor(padding / 2),
+      bottom: Math.ceil(padding / 2),
+      left: Math.floor(padding / 2),
+      right: Math.ceil(padding / 2),
+      background: transparent,
+    })
+    .png()
+    .toBuffer();
+
+  // Home screens fill transparent areas of opaque icons with black
+  const png = icon.background
+    ? await sharp(rendered).flatten({ background: options.backgroundColor }).png().toBuffer()
+    : rendered;
+
+  const { data } = await optimizeBuffer(png, {
+    ...options,
+    format: 'original',
+    resize: null,
+    placeholders: [],
+    watermark: null,
+    watermarkText: null,
+  });
+  return data;
+}
+
+/**
+ * Builds an ICO file with PNG-compressed images
+ * @param {Object[]} images - Images with `size` (width and height) and PNG `data`
+ * @returns {Buffer} - ICO file data
+ */
+function createIco(images) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16LE(0, 0); // Reserved
+  header.writeUInt16LE(1, 2); // Icon type
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = header.length + images.length * 16;
+  const entries = images.map(({ size, data }) => {
+    const entry = Buffer.alloc(16);
+    entry.writeUInt8(size >= 256 ? 0 : size, 0); // 0 means 256 pixels
+    entry.writeUInt8(size >= 256 ? 0 : size, 1);
+    entry.writeUInt8(0, 2); // No colour palette
+    entry.writeUInt8(0, 3); // Reserved
+    entry.writeUInt16LE(1, 4); // Colour planes
+    entry.writeUInt16LE(32, 6); // Bits per pixel
+    entry.writeUInt32LE(data.length, 8);
+    entry.writeUInt32LE(offset, 12);
+    offset += data.length;
+    return entry;
+  });
+
+  return Buffer.concat([header, ...entries, ...images.map((image) => image.data)]);
+}
+
+module.exports = {
+  FAVICON_SIZES,
+  PNG_ICONS,
+  generateIcons,
+  createIco,
+};
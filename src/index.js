@@ -3,207 +3,667 @@
 const { program } = require('commander');
 const path = require('path');
 const chalk = require('chalk');
-const { processDirectory } = require('./optiweb');
+const { SKIP_REASONS, processDirectory, formatBytes } = require('./optiweb');
+const { startServer } = require('./serve');
+const { generateIcons } = require('./icons');
+const { watchDirectory } = require('./watch');
+const { resolveOptions, resolveServeOptions, resolveIconOptions } = require('./options');
+const { describeSize } = require('./naming');
+const { getReportFile } = require('./report');
+const { findConfigFile, loadConfig, mergeOptionLayers } = require('./config');
 const packageJson = require('../package.json');
 
 program
   .name('optiweb')
   .description('Advanced CLI image optimization tool compliant with Google PageSpeed standards')
   .version(packageJson.version)
-  .requiredOption('-i, --input <path>', 'Input folder (required)')
-  .requiredOption('-o, --output <path>', 'Output folder (required)')
+  .option('-i, --input <path>', 'Input folder (required unless set in the config file)')
+  .option('-o, --output <path>', 'Output folder (required unless set in the config file)')
+  .option('-c, --config <path>', 'Config file (default: optiweb.config.js or .optiwebrc.json)')
   .option('-w, --webp', 'Convert to WebP format', false)
+  .option('--formats <formats>', 'Output formats (comma-separated: avif, webp, original)')
   .option('-q, --quality <number>', 'General quality level (0-100)', '85')
   .option('--jpg-quality <number>', 'Quality level for JPG (0-100)')
-  .option('--png-quality <number>', 'Quality level for PNG (0-100)')
-  .option('-s, --skip-existing', 'Skip files that already exist', false)
+  .option('--png-quality <number>', 'Quality level for PNG palette quantization (0-100)')
+  .option('--png-colors <number>', 'Maximum palette colours for PNG (2-256)')
+  .option('--png-dither <amount>', 'Dithering of the PNG palette (0-1)')
+  .option('--png-effort <number>', 'CPU effort for PNG quantization (1-10)')
+  .option('--png-lossless', 'Write PNGs without palette quantization', false)
+  .option('--webp-quality <number>', 'Quality level for WebP output (0-100)')
+  .option('--webp-effort <number>', 'CPU effort for WebP encoding (0-6)', '6')
+  .option('--avif-quality <number>', 'Quality level for AVIF output (0-100)')
+  .option('--avif-effort <number>', 'CPU effort for AVIF encoding (0-9)', '4')
+  .option('--target-ssim <score>', 'Search the lowest quality that reaches this SSIM (0-1)')
+  .option('--max-bytes <size>', 'Search the highest quality that fits this size (e.g. 150kb)')
+  .option(
+    '--keep-original-if-smaller',
+    'Copy the source when its optimized version is not smaller',
+    false,
+  )
+  .option('--no-auto-orient', 'Do not rotate images according to their EXIF orientation')
+  .option(
+    '--metadata <policy>',
+    'Metadata to keep (strip, keep, keep-copyright, keep-icc)',
+    'strip',
+  )
+  .option('--copyright <text>', 'Copyright notice written to the EXIF data of outputs')
+  .option('--artist <text>', 'Artist/author written to the EXIF data of outputs')
+  .option('--no-svg-minify', 'Copy SVG files as-is instead of minifying them')
+  .option('--svg-precision <digits>', 'Decimals kept in SVG coordinates (0-10)', '3')
+  .option('--rasterize-svg', 'Also write SVG files as raster images in the output formats', false)
+  .option('--max-output-size <size>', 'Size budget for every image output (e.g. 200KB)')
+  .option('--fail-on-budget', 'Exit with a non-zero code when an output is over budget', false)
+  .option('--fail-on-error', 'Exit with a non-zero code when a file fails to process', false)
+  .option('-s, --skip-existing', 'Skip files whose outputs already exist', false)
+  .option('--cache', 'Skip files unchanged since the last run (content-hash cache)', false)
+  .option('--mirror', 'Delete outputs that no input file produces any more', false)
+  .option('--mirror-all', 'Like --mirror, also deleting files optiweb did not write', false)
+  .option('--dry-run', 'List planned actions and output paths without writing anything', false)
+  .option('--estimate', 'Dry run that also encodes a sample in memory to project savings', false)
+  .option('--watch', 'Keep watching the input folder and update changed files', false)
+  .option('--manifest <file>', 'Write a JSON manifest of every image and its outputs')
+  .option('--html-snippets', 'Add <picture>/srcset markup for each image to the manifest', false)
+  .option('--html-sizes <sizes>', 'Value of the sizes attribute in HTML snippets', '100vw')
+  .option('--public-path <prefix>', 'URL prefix for output paths in the manifest', '')
+  .option('--report <format>', 'Write a machine-readable report (json, ndjson, html)')
+  .option('--report-file <path>', 'Report file path (default: optiweb-report.<format>)')
+  .option(
+    '--placeholders <types>',
+    'Lazy-loading placeholders (comma-separated: blurhash, lqip, color)',
+  )
+  .option(
+    '--placeholders-file <path>',
+    'Placeholder JSON file (default: placeholders.json in output)',
+  )
   .option('-v, --verbose', 'Verbose output', false)
+  .option('--concurrency <number>', 'Number of files processed in parallel (default: CPU count)')
   .option('--ignore <patterns>', 'Ignore file/folder patterns (comma-separated glob patterns)', '')
   .option('--resize <dimensions>', 'Resize image (e.g. 800x600)')
   .option('--resize-mode <mode>', 'Resize mode (cover, contain, fill, inside, outside)', 'cover')
   .option('--max-width <width>', 'Maximum width, proportional resize')
   .option('--max-height <height>', 'Maximum height, proportional resize')
-  .option('--sizes <sizes>', 'Multiple sizes (comma-separated list, e.g. 180,300,500)')
-  .option('--suffix-pattern <pattern>', 'File name suffix pattern (e.g. "-{width}")', '-{width}')
+  .option('--sizes <sizes>', 'Multiple sizes (comma-separated: 300,500, h400 or 64@1x,2x,3x)')
+  .option('--suffix-pattern <pattern>', 'File name suffix pattern (default: "-{width}")')
+  .option(
+    '--output-template <template>',
+    'Output path template (e.g. "{dir}/{name}-{width}w.{ext}")',
+  )
+  .option('--aspect-ratios <ratios>', 'Crop every size to these ratios (e.g. 16:9,1:1,4:5)')
+  .option(
+    '--crop-strategy <strategy>',
+    'Crop window for cover resizes (center, attention, entropy)',
+    'center',
+  )
+  .option(
+    '--on-existing-webp <policy>',
+    'Images with a WebP of the same name (skip, keep-both, prefer-newer, regenerate)',
+    'skip',
+  )
+  .option('--watermark <image>', 'Image stamped on every raster output (e.g. logo.png)')
+  .option('--watermark-text <text>', 'Text stamped on every raster output instead of an image')
+  .option(
+    '--watermark-position <position>',
+    'Watermark position (top-left ... bottom-right, center, or x,y between 0 and 1)',
+  )
+  .option('--watermark-margin <ratio>', 'Watermark distance from the edges, of the output width')
+  .option('--watermark-opacity <amount>', 'Watermark opacity (0-1)')
+  .option('--watermark-scale <ratio>', 'Watermark width, of the output width (default: 0.2)')
+  .option('--watermark-color <hex>', 'Colour of the watermark text (default: #ffffff)')
+  .option('--watermark-files <patterns>', 'Only stamp files matching these glob patterns')
   .option('--only-resize', 'Only resize, do not optimize', false)
   .option(
     '--slug',
     'Convert image filenames to slug format (lowercase, no spaces, web-friendly)',
     false,
   )
+  .option('--slug-dirs', 'Also convert folder names to slug format (with --slug)', false)
+  .option('--slug-strict', 'Fail when slugified names collide instead of adding -2 suffixes', false)
+  .option('--rename-map-file <path>', 'Rename map JSON file (default: rename-map.json in output)')
+  .option(
+    '--rewrite-references',
+    'Rewrite image references in copied HTML, CSS, Markdown and JSON files',
+    false,
+  )
   .option('--webp-lossless', 'Enable lossless mode for WebP', false)
   .option('--webp-near-lossless', 'Enable nearLossLess mode for WebP', false);
 
+program
+  .command('serve')
+  .description(
+    'Serve the images of the input folder optimized on request, for previews ' +
+      '(takes --input, --config and the encoding options)',
+  )
+  .option('-p, --port <number>', 'Port to listen on', '3000')
+  .option('--host <host>', 'Host name to listen on', 'localhost')
+  .option('--widths <widths>', 'Widths allowed in the w query parameter (comma-separated)')
+  .option('--cache-dir <path>', 'Folder of the encoded images (default: optiweb-serve in temp)')
+  .option('--max-age <seconds>', 'Cache-Control max-age of image responses', '0')
+  .action(serve);
+
+program
+  .command('icons')
+  .description(
+    'Generate favicon.ico, app icons and site.webmanifest from one image into the output ' +
+      'folder (takes --output, --config and the PNG options)',
+  )
+  .option('--source <image>', 'Source image (PNG, JPG or SVG), ideally square')
+  .option('--name <name>', 'App name in the web app manifest')
+  .option('--short-name <name>', 'Short app name in the web app manifest (default: --name)')
+  .option('--theme-color <hex>', 'Theme colour of the browser UI', '#ffffff')
+  .option('--background-color <hex>', 'Background of opaque icons and the splash screen', '#ffffff')
+  .action(icons);
+
+program.action(optimize);
+
 program.parse();
 
-const options = program.opts();
+/**
+ * Optimizes the input folder into the output folder (the default command)
+ */
+function optimize() {
+  const layers = loadOptionLayers();
+  const { rawOptions, config } = layers;
 
-// Convert input and output paths to absolute paths
-const inputDir = path.resolve(options.input);
-const outputDir = path.resolve(options.output);
+  if (!rawOptions.input || !rawOptions.output) {
+    console.error(
+      chalk.red('Error: Input and output folders are required (--input/--output or config file).'),
+    );
+    process.exit(1);
+  }
 
-// Convert quality levels to numbers
-const quality = parseInt(options.quality, 10);
-const jpgQuality = options.jpgQuality ? parseInt(options.jpgQuality, 10) : quality;
-const pngQuality = options.pngQuality ? parseInt(options.pngQuality, 10) : quality;
+  // Convert input and output paths to absolute paths
+  const inputDir = path.resolve(rawOptions.input);
+  const outputDir = path.resolve(rawOptions.output);
 
-if (isNaN(quality) || quality < 0 || quality > 100) {
-  console.error(chalk.red('Error: General quality level must be between 0-100.'));
-  process.exit(1);
-}
-if (isNaN(jpgQuality) || jpgQuality < 0 || jpgQuality > 100) {
-  console.error(chalk.red('Error: JPG quality level must be between 0-100.'));
-  process.exit(1);
-}
-if (isNaN(pngQuality) || pngQuality < 0 || pngQuality > 100) {
-  console.error(chalk.red('Error: PNG quality level must be between 0-100.'));
-  process.exit(1);
+  const { options, rules } = resolveCliOptions(layers);
+
+  const { formats, quality, jpgQuality, pngQuality, ignorePatterns } = options;
+  const resizeOptions = options.resize;
+
+  console.log(chalk.blue('Optiweb starting...'));
+  console.log(chalk.gray(`Input folder: ${inputDir}`));
+  console.log(chalk.gray(`Output folder: ${outputDir}`));
+  if (config.file) {
+    console.log(chalk.gray(`Config file: ${config.file}`));
+  }
+  console.log(chalk.gray(`WebP conversion: ${formats.includes('webp') ? 'Yes' : 'No'}`));
+  console.log(chalk.gray(`Output formats: ${formats.join(', ')}`));
+  console.log(chalk.gray(`General quality level: ${quality}`));
+  console.log(chalk.gray(`JPG quality level: ${jpgQuality}`));
+  console.log(
+    chalk.gray(
+      options.pngLossless
+        ? 'PNG: lossless'
+        : `PNG quality level: ${pngQuality} (${options.pngColors} colours, dither ${options.pngDither})`,
+    ),
+  );
+  if (options.targetSsim) {
+    console.log(chalk.gray(`Target SSIM: ${options.targetSsim}`));
+  }
+  if (options.maxBytes) {
+    console.log(chalk.gray(`Maximum bytes per image: ${options.maxBytes}`));
+  }
+  if (options.keepOriginalIfSmaller) {
+    console.log(chalk.gray('Keep original if smaller: Yes'));
+  }
+  console.log(chalk.gray(`Auto-orient: ${options.autoOrient ? 'Yes' : 'No'}`));
+  console.log(chalk.gray(`Metadata: ${options.metadata}`));
+  console.log(
+    chalk.gray(
+      `SVG: ${options.svgMinify ? `minify (precision ${options.svgPrecision})` : 'copy'}` +
+        (options.rasterizeSvg ? ', rasterize' : ''),
+    ),
+  );
+  if (options.maxOutputSize) {
+    console.log(chalk.gray(`Output size budget: ${formatBytes(options.maxOutputSize)}`));
+  }
+  console.log(chalk.gray(`Skip existing files: ${options.skipExisting ? 'Yes' : 'No'}`));
+  console.log(chalk.gray(`Existing WebP files: ${options.onExistingWebp}`));
+  if (options.dryRun) {
+    console.log(chalk.yellow(`Dry run: nothing will be written to the output folder`));
+  }
+  console.log(chalk.gray(`Incremental cache: ${options.cache ? 'Yes' : 'No'}`));
+  if (options.mirror) {
+    const scope = options.mirrorAll ? 'files' : 'outputs';
+    console.log(
+      chalk.yellow(`Mirror: ${scope} in the output folder that no input produces are removed`),
+    );
+  }
+  console.log(chalk.gray(`Verbose output: ${options.verbose ? 'Yes' : 'No'}`));
+  console.log(chalk.gray(`Concurrency: ${options.concurrency}`));
+  console.log(chalk.gray(`Only resize: ${options.onlyResize ? 'Yes' : 'No'}`));
+  if (options.watermark || options.watermarkText) {
+    const watermark = options.watermark || `"${options.watermarkText}"`;
+    console.log(
+      chalk.gray(
+        `Watermark: ${watermark} (scale ${options.watermarkScale}, ` +
+          `opacity ${options.watermarkOpacity})`,
+      ),
+    );
+    if (options.watermarkFiles.length > 0) {
+      console.log(chalk.gray(`Watermark files: ${options.watermarkFiles.join(', ')}`));
+    }
+  }
+  console.log(
+    chalk.gray(
+      `Slugify filenames: ${options.slug ? 'Yes' : 'No'}` +
+        (options.slug && options.slugDirs ? ', folders too' : '') +
+        (options.slug && options.slugStrict ? ', strict' : ''),
+    ),
+  );
+  console.log(chalk.gray(`Rewrite references: ${options.rewriteReferences ? 'Yes' : 'No'}`));
+
+  if (options.manifest) {
+    console.log(chalk.gray(`Manifest file: ${options.manifest}`));
+  }
+  if (options.report) {
+    console.log(chalk.gray(`Report: ${options.report} (${getReportFile(options)})`));
+  }
+  if (options.outputTemplate) {
+    console.log(chalk.gray(`Output template: ${options.outputTemplate}`));
+  }
+  if (options.placeholders.length > 0) {
+    console.log(chalk.gray(`Placeholders: ${options.placeholders.join(', ')}`));
+  }
+  if (ignorePatterns.length > 0) {
+    console.log(chalk.gray(`Ignore patterns: ${ignorePatterns.join(', ')}`));
+  }
+  if (rules.length > 0) {
+    console.log(chalk.gray(`Config rules: ${rules.map((rule) => rule.pattern).join(', ')}`));
+  }
+
+  // Display resize information
+  if (resizeOptions) {
+    if (resizeOptions.sizes) {
+      console.log(
+        chalk.gray(
+          `Multi-size resize: ${resizeOptions.sizes.map(describeSize).join(', ')} ` +
+            `(mode: ${resizeOptions.mode})`,
+        ),
+      );
+      if (resizeOptions.suffixPattern) {
+        console.log(chalk.gray(`Suffix pattern: ${resizeOptions.suffixPattern}`));
+      }
+      if (resizeOptions.aspectRatios) {
+        console.log(
+          chalk.gray(
+            `Aspect ratios: ${resizeOptions.aspectRatios.join(', ')} (crop: ${options.cropStrategy})`,
+          ),
+        );
+      }
+    } else if (resizeOptions.width && resizeOptions.height) {
+      console.log(
+        chalk.gray(
+          `Resize dimensions: ${resizeOptions.width}x${resizeOptions.height} (mode: ${resizeOptions.mode})`,
+        ),
+      );
+      if (resizeOptions.mode === 'cover') {
+        console.log(chalk.gray(`Crop strategy: ${options.cropStrategy}`));
+      }
+    } else {
+      if (resizeOptions.maxWidth) {
+        console.log(chalk.gray(`Maximum width: ${resizeOptions.maxWidth}px`));
+      }
+      if (resizeOptions.maxHeight) {
+        console.log(chalk.gray(`Maximum height: ${resizeOptions.maxHeight}px`));
+      }
+    }
+  }
+
+  // Start optimization process
+  processDirectory(inputDir, outputDir, { ...options, rules })
+    .then((results) => {
+      if (options.dryRun) {
+        printDryRun(results, outputDir);
+        return;
+      }
+
+      console.log(chalk.green('\n✅ Optimization completed!'));
+      console.log(chalk.gray(`Total files processed: ${results.totalFiles}`));
+      console.log(chalk.gray(`Number of optimized images: ${results.optimizedImages}`));
+      if (results.resizedImages > 0) {
+        console.log(chalk.gray(`Number of resized images: ${results.resizedImages}`));
+      }
+      if (results.multiSizeImages > 0) {
+        console.log(
+          chalk.gray(`Number of multi-size processed images: ${results.multiSizeImages}`),
+        );
+      }
+      if (results.skippedImages > 0) {
+        console.log(
+          chalk.gray(`Number of images skipped due to WebP version: ${results.skippedImages}`),
+        );
+      }
+      if (results.cachedFiles > 0) {
+        console.log(chalk.gray(`Number of unchanged files (cached): ${results.cachedFiles}`));
+      }
+      if (results.ignoredFiles > 0) {
+        console.log(chalk.gray(`Number of ignored files: ${results.ignoredFiles}`));
+      }
+      console.log(chalk.gray(`Number of other copied files: ${results.copiedFiles}`));
+      if (results.rewrittenReferences > 0) {
+        console.log(chalk.gray(`Number of rewritten references: ${results.rewrittenReferences}`));
+      }
+      if (results.unresolvedReferences.length > 0) {
+        console.log(chalk.yellow(`Unresolved references: ${results.unresolvedReferences.length}`));
+        results.unresolvedReferences.forEach(({ file, reference }) => {
+          console.log(chalk.yellow(`  ${file}: ${reference}`));
+        });
+      }
+
+      // Per-format breakdown when more than one format was written
+      const formatNames = Object.keys(results.formats);
+      if (formatNames.length > 1) {
+        formatNames.forEach((format) => {
+          const stats = results.formats[format];
+          const savedInMB = (stats.saved / (1024 * 1024)).toFixed(2);
+          const reduction = ((stats.saved / stats.inputSize) * 100).toFixed(2);
+          console.log(
+            chalk.gray(
+              `${format.toUpperCase()} outputs: ${stats.count}, saved ${savedInMB} MB (%${reduction})`,
+            ),
+          );
+        });
+      }
+
+      // The rate compares the outputs with their sources, so it stays within 100%
+      const outputSourceSize = Object.values(results.formats).reduce(
+        (sum, stats) => sum + stats.inputSize,
+        0,
+      );
+      if (results.totalSaved !== 0 && outputSourceSize > 0) {
+        const savedInMB = (Math.abs(results.totalSaved) / (1024 * 1024)).toFixed(2);
+        const color = results.totalSaved > 0 ? chalk.green : chalk.yellow;
+        const label = results.totalSaved > 0 ? 'Total space saved' : 'Total size increase';
+        console.log(color(`${label}: ${savedInMB} MB`));
+        const reductionPercentage = ((results.totalSaved / outputSourceSize) * 100).toFixed(2);
+        console.log(color(`Total reduction rate: %${reductionPercentage}`));
+      }
+
+      if (results.overBudget.length > 0) {
+        console.log(chalk.yellow(`Outputs over budget: ${results.overBudget.length}`));
+        results.overBudget.forEach(({ output, size, budget, over }) => {
+          console.log(
+            chalk.yellow(
+              `  ${path.relative(outputDir, output)}: ${formatBytes(size)} ` +
+                `(budget ${formatBytes(budget)}, +${formatBytes(over)})`,
+            ),
+          );
+        });
+      }
+
+      printCollisions(results.collisions, outputDir);
+
+      if (results.pruned.length > 0) {
+        console.log(chalk.yellow(`Removed orphaned outputs: ${results.pruned.length}`));
+        results.pruned.forEach((file) => console.log(chalk.yellow(`  ${file}`)));
+      }
+      if (results.foreignFiles.length > 0) {
+        console.log(
+          chalk.yellow(
+            `Kept files not written by optiweb: ${results.foreignFiles.length} ` +
+              '(--mirror-all removes them)',
+          ),
+        );
+        results.foreignFiles.forEach((file) => console.log(chalk.yellow(`  ${file}`)));
+      }
+
+      // CI-friendly exit codes
+      if (options.failOnError && results.errors.length > 0) {
+        console.error(chalk.red(`Error: ${results.errors.length} files could not be processed.`));
+        process.exit(1);
+      }
+      if (options.failOnBudget && results.overBudget.length > 0) {
+        console.error(chalk.red(`Error: ${results.overBudget.length} outputs are over budget.`));
+        process.exit(1);
+      }
+
+      if (options.watch) {
+        watchDirectory(inputDir, outputDir, { ...options, rules });
+        console.log(chalk.blue(`\nWatching ${inputDir} for changes... (press Ctrl+C to stop)`));
+      }
+    })
+    .catch((err) => {
+      console.error(chalk.red('Error:', err.message));
+      process.exit(1);
+    });
 }
 
-// Parse ignore patterns
-const ignorePatterns = options.ignore ? options.ignore.split(',').map((p) => p.trim()) : [];
+/**
+ * Serves the images of the input folder optimized on request (optiweb serve)
+ * @param {Object} serveOptions - Options of the serve command
+ */
+function serve(serveOptions) {
+  // Without --formats, each browser gets the best format it accepts
+  const layers = loadOptionLayers({ formats: 'avif,webp,original' });
+  if (!layers.rawOptions.input) {
+    console.error(chalk.red('Error: Input folder is required (--input or config file).'));
+    process.exit(1);
+  }
+  const inputDir = path.resolve(layers.rawOptions.input);
+  const { options, rules } = resolveCliOptions(layers);
 
-// Process resize options
-let resizeOptions = null;
+  let serverOptions;
+  try {
+    serverOptions = resolveServeOptions(serveOptions);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
 
-if (options.sizes) {
-  // Using multiple sizes
-  const sizes = options.sizes.split(',').map((size) => {
-    const parsed = parseInt(size.trim(), 10);
-    if (isNaN(parsed) || parsed <= 0) {
-      console.error(chalk.red(`Error: Invalid size value: ${size}`));
+  startServer(inputDir, { ...options, rules, ...serverOptions })
+    .then((server) => {
+      const url = `http://${serverOptions.host}:${server.address().port}`;
+      console.log(chalk.blue('Optiweb preview server'));
+      console.log(chalk.gray(`Input folder: ${inputDir}`));
+      console.log(chalk.gray(`Output formats: ${options.formats.join(', ')}`));
+      console.log(chalk.gray(`Allowed widths: ${serverOptions.widths.join(', ') || 'none'}`));
+      console.log(chalk.gray(`Cache folder: ${serverOptions.cacheDir}`));
+      console.log(chalk.green(`Serving at ${url} (press Ctrl+C to stop)`));
+    })
+    .catch((err) => {
+      console.error(chalk.red(`Error: ${err.message}`));
       process.exit(1);
-    }
-    return parsed;
-  });
+    });
+}
 
-  resizeOptions = {
-    sizes,
-    suffixPattern: options.suffixPattern,
-    mode: options.resizeMode,
-  };
-} else if (options.resize) {
-  // Using single size (width x height)
-  const dimensions = options.resize.split('x');
-  if (dimensions.length !== 2 || isNaN(parseInt(dimensions[0])) || isNaN(parseInt(dimensions[1]))) {
-    console.error(
-      chalk.red('Error: Invalid resize format. Correct format: WIDTHxHEIGHT (e.g. 800x600)'),
-    );
+/**
+ * Generates the favicon and app icon set of a source image (optiweb icons)
+ * @param {Object} iconOptions - Options of the icons command
+ */
+function icons(iconOptions) {
+  const layers = loadOptionLayers();
+  if (!layers.rawOptions.output) {
+    console.error(chalk.red('Error: Output folder is required (--output or config file).'));
     process.exit(1);
   }
+  const outputDir = path.resolve(layers.rawOptions.output);
+  const { options } = resolveCliOptions(layers);
 
-  resizeOptions = {
-    width: parseInt(dimensions[0]),
-    height: parseInt(dimensions[1]),
-    mode: options.resizeMode,
-  };
-} else if (options.maxWidth || options.maxHeight) {
-  // Using maximum size
-  resizeOptions = {};
+  let settings;
+  try {
+    settings = resolveIconOptions(iconOptions);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
 
-  if (options.maxWidth) {
-    const maxWidth = parseInt(options.maxWidth, 10);
-    if (isNaN(maxWidth) || maxWidth <= 0) {
-      console.error(chalk.red('Error: Maximum width must be a positive number.'));
+  console.log(chalk.blue('Optiweb icons'));
+  console.log(chalk.gray(`Source image: ${settings.source}`));
+  console.log(chalk.gray(`Output folder: ${outputDir}`));
+
+  generateIcons(settings.source, outputDir, { ...options, ...settings })
+    .then((result) => {
+      result.outputs.forEach((output) => {
+        const size = output.width ? ` (${output.width}x${output.height})` : '';
+        console.log(
+          chalk.gray(`  ${path.basename(output.path)}${size}: ${formatBytes(output.size)}`),
+        );
+      });
+      console.log(chalk.green('\n✅ Icons written! Add these tags to the <head> of your pages:\n'));
+      console.log(result.html);
+    })
+    .catch((err) => {
+      console.error(chalk.red(`Error: ${err.message}`));
       process.exit(1);
+    });
+}
+
+/**
+ * Loads the config file and merges it between the CLI defaults and the CLI
+ * flags that were passed explicitly
+ * @param {Object} [defaults] - Defaults of the command, below the config file
+ * @returns {Object} - `config`, `cliDefaults`, `cliFlags` and the merged `rawOptions`
+ */
+function loadOptionLayers(defaults = {}) {
+  const cliOptions = program.opts();
+
+  // Split CLI values into defaults and explicitly passed flags
+  const cliDefaults = { ...defaults };
+  const cliFlags = {};
+  Object.keys(cliOptions).forEach((key) => {
+    if (key === 'config') return;
+    if (program.getOptionValueSource(key) === 'cli') {
+      cliFlags[key] = cliOptions[key];
+    } else {
+      cliDefaults[key] = cliOptions[key];
     }
-    resizeOptions.maxWidth = maxWidth;
-  }
+  });
 
-  if (options.maxHeight) {
-    const maxHeight = parseInt(options.maxHeight, 10);
-    if (isNaN(maxHeight) || maxHeight <= 0) {
-      console.error(chalk.red('Error: Maximum height must be a positive number.'));
+  // Load the config file passed with --config or found in the working directory
+  let config = { file: null, options: {}, rules: [] };
+  const configPath = cliOptions.config || findConfigFile(process.cwd());
+
+  if (configPath) {
+    try {
+      config = loadConfig(configPath);
+    } catch (err) {
+      console.error(chalk.red(`Error: ${err.message}`));
       process.exit(1);
     }
-    resizeOptions.maxHeight = maxHeight;
   }
+
+  // CLI flags override the config file, which overrides the defaults
+  const rawOptions = mergeOptionLayers(cliDefaults, config.options, cliFlags);
+
+  return { config, cliDefaults, cliFlags, rawOptions };
 }
 
-console.log(chalk.blue('Optiweb starting...'));
-console.log(chalk.gray(`Input folder: ${inputDir}`));
-console.log(chalk.gray(`Output folder: ${outputDir}`));
-console.log(chalk.gray(`WebP conversion: ${options.webp ? 'Yes' : 'No'}`));
-console.log(chalk.gray(`General quality level: ${quality}`));
-console.log(chalk.gray(`JPG quality level: ${jpgQuality}`));
-console.log(chalk.gray(`PNG quality level: ${pngQuality}`));
-console.log(chalk.gray(`Skip existing files: ${options.skipExisting ? 'Yes' : 'No'}`));
-console.log(chalk.gray(`Verbose output: ${options.verbose ? 'Yes' : 'No'}`));
-console.log(chalk.gray(`Only resize: ${options.onlyResize ? 'Yes' : 'No'}`));
-console.log(chalk.gray(`Slugify filenames: ${options.slug ? 'Yes' : 'No'}`));
-
-if (ignorePatterns.length > 0) {
-  console.log(chalk.gray(`Ignore patterns: ${ignorePatterns.join(', ')}`));
+/**
+ * Resolves the options of the run and of each config rule; invalid values
+ * end the process with an error
+ * @param {Object} layers - Option layers returned by loadOptionLayers
+ * @returns {Object} - Resolved `options` and `rules`
+ */
+function resolveCliOptions(layers) {
+  const { config, cliDefaults, cliFlags, rawOptions } = layers;
+
+  let options;
+  try {
+    options = resolveOptions(rawOptions);
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  // Resolve per-glob rules; each rule is applied on top of the config file options
+  const rules = [];
+  for (const rule of config.rules) {
+    try {
+      rules.push({
+        pattern: rule.pattern,
+        options: resolveOptions(
+          mergeOptionLayers(cliDefaults, config.options, rule.options, cliFlags),
+        ),
+      });
+    } catch (err) {
+      const location = `${path.basename(config.file)}, rule "${rule.pattern}"`;
+      console.error(chalk.red(`Error: ${err.message} (${location})`));
+      process.exit(1);
+    }
+  }
+
+  return { options, rules };
 }
 
-// Display resize information
-if (resizeOptions) {
-  if (resizeOptions.sizes) {
+/**
+ * Prints the planned actions of a dry run, including --mirror removals,
+ * collisions and the savings estimate
+ * @param {Object} results - Result statistics with `plan`, `pruned`, `foreignFiles` and
+ *   optional `estimate`
+ * @param {string} outputDir - Output directory path
+ */
+function printDryRun(results, outputDir) {
+  console.log(chalk.blue('\nPlanned actions (dry run):'));
+  results.plan.forEach((fileResult) => {
+    const { file, action } = fileResult;
+    if (action === 'planned') {
+      const outputs = fileResult.outputs.map((output) => path.relative(outputDir, output.path));
+      const renamed = outputs.length === 1 && outputs[0] === file ? '' : ` → ${outputs.join(', ')}`;
+      console.log(`  ${chalk.green(fileResult.operation.padEnd(8))} ${file}${chalk.gray(renamed)}`);
+    } else if (action === 'skipped') {
+      const reason = SKIP_REASONS[fileResult.reason] || fileResult.reason;
+      console.log(`  ${chalk.yellow('skip'.padEnd(8))} ${file} ${chalk.gray(`(${reason})`)}`);
+    } else if (action === 'error') {
+      console.log(
+        `  ${chalk.red('error'.padEnd(8))} ${file} ${chalk.gray(fileResult.error.message)}`,
+      );
+    }
+  });
+  results.pruned.forEach((file) => {
     console.log(
-      chalk.gray(
-        `Multi-size resize: ${resizeOptions.sizes.join(', ')} (mode: ${options.resizeMode})`,
-      ),
+      `  ${chalk.red('remove'.padEnd(8))} ${file} ${chalk.gray('(no input produces it)')}`,
     );
-    console.log(chalk.gray(`Suffix pattern: ${options.suffixPattern}`));
-  } else if (resizeOptions.width && resizeOptions.height) {
+  });
+  results.foreignFiles.forEach((file) => {
     console.log(
-      chalk.gray(
-        `Resize dimensions: ${resizeOptions.width}x${resizeOptions.height} (mode: ${options.resizeMode})`,
-      ),
+      `  ${chalk.yellow('keep'.padEnd(8))} ${file} ${chalk.gray('(not written by optiweb)')}`,
     );
-  } else {
-    if (resizeOptions.maxWidth) {
-      console.log(chalk.gray(`Maximum width: ${resizeOptions.maxWidth}px`));
-    }
-    if (resizeOptions.maxHeight) {
-      console.log(chalk.gray(`Maximum height: ${resizeOptions.maxHeight}px`));
-    }
-  }
-}
+  });
 
-// Start optimization process
-processDirectory(inputDir, outputDir, {
-  webp: options.webp,
-  quality,
-  jpgQuality,
-  pngQuality,
-  skipExisting: options.skipExisting,
-  verbose: options.verbose,
-  ignorePatterns,
-  resize: resizeOptions,
-  onlyResize: options.onlyResize,
-  webpLossless: options.webpLossless,
-  webpNearLossless: options.webpNearLossless,
-  slug: options.slug,
-})
-  .then((results) => {
-    console.log(chalk.green('\n✅ Optimization completed!'));
-    console.log(chalk.gray(`Total files processed: ${results.totalFiles}`));
-    console.log(chalk.gray(`Number of optimized images: ${results.optimizedImages}`));
-    if (results.resizedImages > 0) {
-      console.log(chalk.gray(`Number of resized images: ${results.resizedImages}`));
-    }
-    if (results.multiSizeImages > 0) {
-      console.log(chalk.gray(`Number of multi-size processed images: ${results.multiSizeImages}`));
+  const operations = results.plan.filter((fileResult) => fileResult.action === 'planned');
+  const outputCount = operations.reduce((sum, fileResult) => sum + fileResult.outputs.length, 0);
+  console.log(
+    chalk.gray(
+      `\n${operations.length} files to process (${outputCount} outputs), ` +
+        `${results.plan.length - operations.length} skipped, ${results.ignoredFiles} ignored` +
+        (results.pruned.length > 0 ? `, ${results.pruned.length} to remove` : '') +
+        (results.foreignFiles.length > 0 ? `, ${results.foreignFiles.length} kept` : ''),
+    ),
+  );
+
+  printCollisions(results.collisions, outputDir);
+
+  if (results.estimate) {
+    const { images, sampled, inputSize, outputSize, saved, unestimated } = results.estimate;
+    console.log(chalk.gray(`Estimate based on ${sampled} of ${images} images:`));
+    console.log(chalk.gray(`  Estimated output size: ${formatBytes(outputSize)}`));
+    if (inputSize > 0) {
+      // Relative to the source bytes of every planned output (one per format and size)
+      const reduction = ((saved / (saved + outputSize)) * 100).toFixed(2);
+      console.log(chalk.green(`  Estimated space saved: ${formatBytes(saved)} (%${reduction})`));
     }
-    if (results.skippedImages > 0) {
+    if (unestimated > 0) {
       console.log(
-        chalk.gray(`Number of images skipped due to WebP version: ${results.skippedImages}`),
+        chalk.yellow(`  Not estimated: ${unestimated} outputs, counted at their source size`),
       );
     }
-    if (results.ignoredFiles > 0) {
-      console.log(chalk.gray(`Number of ignored files: ${results.ignoredFiles}`));
-    }
-    console.log(chalk.gray(`Number of other copied files: ${results.copiedFiles}`));
+  }
 
-    if (results.totalSaved > 0) {
-      const savedInMB = (results.totalSaved / (1024 * 1024)).toFixed(2);
-      console.log(chalk.green(`Total space saved: ${savedInMB} MB`));
-      const reductionPercentage = ((results.totalSaved / results.totalSize) * 100).toFixed(2);
-      console.log(chalk.green(`Total reduction rate: %${reductionPercentage}`));
-    }
-  })
-  .catch((err) => {
-    console.error(chalk.red('Error:', err.message));
-    process.exit(1);
+  console.log(chalk.yellow('Dry run: nothing was written to the output folder.'));
+}
+
+/**
+ * Prints output paths written by more than one source file
+ * @param {Object[]} collisions - Collisions with `output` and `files`
+ * @param {string} outputDir - Output directory path
+ */
+function printCollisions(collisions, outputDir) {
+  if (collisions.length === 0) {
+    return;
+  }
+  console.log(chalk.yellow(`Output collisions: ${collisions.length}`));
+  collisions.forEach(({ output, files }) => {
+    console.log(chalk.yellow(`  ${path.relative(outputDir, output)} ← ${files.join(', ')}`));
   });
+}
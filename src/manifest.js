@@ -0,0 +1,252 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const { getOrientedSize } = require('./metadata');
+
+/**
+ * Output formats listed as <source> elements, in order of preference
+ */
+const SOURCE_FORMATS = ['avif', 'webp'];
+
+/**
+ * MIME types of output formats
+ */
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+};
+
+/**
+ * Builds the responsive image manifest from the per-file results of a run
+ * @param {Object[]} fileResults - Results returned by processFile
+ * @param {string} outputDir - Output directory path
+ * @param {Object} options - Optimization options (publicPath, htmlSnippets, htmlSizes)
+ * @returns {Promise<Object>} - Manifest with an entry per source image
+ */
+async function buildManifest(fileResults, outputDir, options) {
+  const images = {};
+
+  for (const fileResult of fileResults) {
+    let entry = null;
+
+    if (fileResult.action === 'optimized') {
+      entry = {
+        width: fileResult.width,
+        height: fileResult.height,
+        outputs: fileResult.outputs,
+      };
+    } else if (fileResult.action === 'skipped' && fileResult.isImage) {
+      // Outputs from a previous run are described from the files on disk
+      entry = await describeExistingOutputs(fileResult.input, fileResult.outputPaths, options);
+    }
+
+    if (!entry) {
+      continue;
+    }
+
+    const image = {
+      width: entry.width,
+      height: entry.height,
+      aspectRatio: Number((entry.width / entry.height).toFixed(4)),
+      outputs: entry.outputs.map((output) => {
+        const relativePath = toPosixPath(path.relative(outputDir, output.path));
+        return {
+          path: relativePath,
+          url: `${options.publicPath || ''}${relativePath}`,
+          format: getOutputFormat(output.path),
+          width: output.width,
+          height: output.height,
+          size: output.size,
+          ...(output.density && { density: output.density }),
+          ...(output.crop && { crop: output.crop }),
+        };
+      }),
+    };
+
+    if (fileResult.placeholders) {
+      image.placeholders = fileResult.placeholders;
+    }
+
+    if (options.htmlSnippets) {
+      image.html = createPictureMarkup(image, options.htmlSizes);
+    }
+
+    images[toPosixPath(fileResult.file)] = image;
+  }
+
+  return { images };
+}
+
+/**
+ * Writes the manifest to a JSON file
+ * @param {string} manifestFile - Manifest file path
+ * @param {Object} manifest - Manifest returned by buildManifest
+ */
+async function writeManifest(manifestFile, manifest) {
+  await fs.outputJson(manifestFile, manifest, { spaces: 2 });
+}
+
+/**
+ * Creates <picture> markup with a <source> per modern format and an <img> fallback
+ * @param {Object} image - Manifest image entry
+ * @param {string} [sizes] - Value of the `sizes` attribute
+ * @returns {string} - HTML markup
+ */
+function createPictureMarkup(image, sizes = '100vw') {
+  const { sources, fallback, main, byDensity } = groupPictureOutputs(image.outputs);
+  const sizesAttribute = byDensity ? '' : ` sizes="${escapeAttribute(sizes)}"`;
+
+  const lines = ['<picture>'];
+  sources.forEach((source) => {
+    lines.push(
+      `  <source type="${MIME_TYPES[source.format]}" srcset="${createSrcset(source.outputs)}"` +
+        `${sizesAttribute}>`,
+    );
+  });
+
+  const srcsetAttributes =
+    fallback.length > 1 ? ` srcset="${createSrcset(fallback)}"${sizesAttribute}` : '';
+  lines.push(
+    `  <img src="${encodeUrl(main.url)}"${srcsetAttributes} ` +
+      `width="${main.width}" height="${main.height}" alt="" loading="lazy" decoding="async">`,
+  );
+  lines.push('</picture>');
+
+  return lines.join('\n');
+}
+
+/**
+ * Groups the outputs of an image for <picture> markup: a <source> per modern
+ * format and the outputs of the <img> fallback
+ * @param {Object[]} allOutputs - Outputs with `format`, `width` and optional `density` and `crop`
+ * @returns {Object} - `sources` ({ format, outputs }), `fallback` outputs sorted by width,
+ *   the `main` output used as <img> src, and `byDensity` for pixel-density sizes
+ */
+function groupPictureOutputs(allOutputs) {
+  // Art-directed crops need media queries; the markup uses the first aspect ratio
+  const cropped = allOutputs.find((output) => output.crop);
+  const outputs = cropped
+    ? allOutputs.filter((output) => output.crop === cropped.crop)
+    : allOutputs;
+
+  // Group outputs by format, one output per real width
+  const groups = {};
+  outputs.forEach((output) => {
+    groups[output.format] = groups[output.format] || [];
+    if (!groups[output.format].some((o) => o.width === output.width)) {
+      groups[output.format].push(output);
+    }
+  });
+  Object.values(groups).forEach((outputs) => outputs.sort((a, b) => a.width - b.width));
+
+  // The fallback is the original format if it was written, otherwise the last modern format
+  const formats = Object.keys(groups);
+  const fallbackFormat =
+    formats.find((format) => !SOURCE_FORMATS.includes(format)) ||
+    SOURCE_FORMATS.filter((format) => groups[format]).pop();
+  const fallback = groups[fallbackFormat];
+
+  // Pixel densities (64@1x,2x) are fixed-size: the 1x output sets the displayed size
+  const byDensity = outputs.every((output) => output.density);
+  const main = byDensity ? fallback[0] : fallback[fallback.length - 1];
+
+  const sources = SOURCE_FORMATS.filter(
+    (format) => groups[format] && format !== fallbackFormat,
+  ).map((format) => ({ format, outputs: groups[format] }));
+  return { sources, fallback, main, byDensity };
+}
+
+/**
+ * Creates a `srcset` attribute value with width descriptors, or density
+ * descriptors when every output has a pixel-density size
+ * @param {Object[]} outputs - Outputs sorted by width
+ * @returns {string} - srcset value
+ */
+function createSrcset(outputs) {
+  // A srcset cannot mix width and density descriptors
+  const byDensity = outputs.every((output) => output.density);
+  return outputs
+    .map((output) => {
+      const descriptor = byDensity ? `${output.density}x` : `${output.width}w`;
+      return `${encodeUrl(output.url)} ${descriptor}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Reads the dimensions and sizes of outputs written by an earlier run
+ * @param {string} inputFile - Source image path
+ * @param {string[]} outputPaths - Output file paths
+ * @param {Object} options - Optimization options (`autoOrient`)
+ * @returns {Promise<Object|null>} - Source dimensions and outputs, or null if any output is missing
+ */
+async function describeExistingOutputs(inputFile, outputPaths, options) {
+  if (!outputPaths.every((outputPath) => fs.existsSync(outputPath))) {
+    return null;
+  }
+
+  const { width, height } = getOrientedSize(await sharp(inputFile).metadata(), options);
+  const outputs = [];
+  for (const outputPath of outputPaths) {
+    const outputMetadata = await sharp(outputPath).metadata();
+    const stats = await fs.stat(outputPath);
+    outputs.push({
+      path: outputPath,
+      width: outputMetadata.width,
+      height: outputMetadata.height,
+      size: stats.size,
+    });
+  }
+
+  return { width, height, outputs };
+}
+
+/**
+ * Returns the image format of an output file from its extension
+ * @param {string} outputPath - Output file path
+ * @returns {string} - Format name (avif, webp, jpeg, png, gif or svg)
+ */
+function getOutputFormat(outputPath) {
+  const ext = path.extname(outputPath).toLowerCase().slice(1);
+  return ext === 'jpg' ? 'jpeg' : ext;
+}
+
+/**
+ * Encodes a URL for use in src and srcset attributes
+ * @param {string} url - URL or path
+ * @returns {string} - Encoded URL
+ */
+function encodeUrl(url) {
+  return escapeAttribute(encodeURI(url).replace(/,/g, '%2C'));
+}
+
+/**
+ * Escapes a value for use inside a double-quoted HTML attribute
+ * @param {string} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a path to forward slashes
+ * @param {string} filePath - File path
+ * @returns {string} - Path with forward slashes
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  MIME_TYPES,
+  buildManifest,
+  writeManifest,
+  createPictureMarkup,
+  groupPictureOutputs,
+  getOutputFormat,
+};
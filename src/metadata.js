@@ -0,0 +1,134 @@
+const sharp = require('sharp');
+
+/**
+ * Supported values for --metadata
+ */
+const METADATA_POLICIES = ['strip', 'keep', 'keep-copyright', 'keep-icc'];
+
+/**
+ * EXIF IFD0 tags kept by the keep-copyright policy, by tag number
+ */
+const COPYRIGHT_TAGS = { 0x013b: 'Artist', 0x8298: 'Copyright' };
+
+/**
+ * Loads an image for processing: applies the EXIF orientation, converts the
+ * pixels to 8-bit sRGB and sets the metadata written to the outputs.
+ *
+ * sharp already converts images with an embedded profile (wide-gamut, CMYK)
+ * to sRGB; 16-bit and profile-less CMYK inputs are converted explicitly.
+ * Policies that keep only part of the metadata decode the image to raw
+ * sRGB pixels first, so nothing else from the source is carried over.
+ * @param {string|Buffer} input - Image file path or data
+ * @param {Object} options - Optimization options (`autoOrient`, `metadata`, `copyright`, `artist`)
+ * @param {Object} [inputOptions] - Sharp input options (e.g. `animated`, `density`)
+ * @returns {Promise<Object>} - Sharp instance ready for resizing and encoding
+ */
+async function loadImage(input, options, inputOptions = {}) {
+  const metadata = await sharp(input, inputOptions).metadata();
+  let image = sharp(input, inputOptions);
+
+  if (options.autoOrient !== false) {
+    image = image.rotate();
+  }
+  if (metadata.depth !== 'uchar') {
+    // Process 16-bit images as 8-bit sRGB, otherwise keeping metadata reads them as wide-gamut
+    const space = metadata.space === 'grey16' ? 'b-w' : 'srgb';
+    image = image.pipelineColourspace(space).toColourspace(space);
+  } else if (metadata.space === 'cmyk') {
+    image = image.toColourspace('srgb');
+  }
+
+  const policy = options.metadata || 'strip';
+  const exif = getExifFields(metadata, options);
+  const exifOptions = Object.keys(exif).length > 0 ? { exif: { IFD0: exif } } : {};
+
+  if (policy === 'strip' && !exifOptions.exif) {
+    return image;
+  }
+  if (policy === 'keep' || inputOptions.animated) {
+    // All EXIF, XMP and ICC data is kept; the ICC profile becomes sRGB. Raw
+    // pixels cannot hold animation frames, but GIFs have no EXIF or XMP to drop.
+    return image.withMetadata(exifOptions);
+  }
+
+  // Keep only the sRGB profile and the selected EXIF fields
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  return sharp(data, { raw }).withMetadata(exifOptions);
+}
+
+/**
+ * Returns the dimensions of an image as it is written, after auto-orientation
+ * @param {Object} metadata - Sharp metadata of the source
+ * @param {Object} options - Optimization options (`autoOrient`)
+ * @returns {Object} - `width` and `height`
+ */
+function getOrientedSize(metadata, options) {
+  // EXIF orientations 5-8 are rotated by 90 or 270 degrees
+  if (options.autoOrient !== false && metadata.orientation >= 5) {
+    return { width: metadata.height, height: metadata.width };
+  }
+  return { width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Collects the EXIF fields to write: the source's copyright fields with the
+ * keep-copyright policy, overridden by `copyright` and `artist` options
+ * @param {Object} metadata - Sharp metadata of the source
+ * @param {Object} options - Optimization options
+ * @returns {Object} - EXIF IFD0 fields keyed by tag name
+ */
+function getExifFields(metadata, options) {
+  const fields = options.metadata === 'keep-copyright' ? readExifStrings(metadata.exif) : {};
+  if (options.copyright) fields.Copyright = options.copyright;
+  if (options.artist) fields.Artist = options.artist;
+  return fields;
+}
+
+/**
+ * Reads the copyright ASCII fields from the IFD0 of raw EXIF data
+ * @param {Buffer} [exif] - EXIF data from sharp metadata
+ * @returns {Object} - Fields found, keyed by tag name
+ */
+function readExifStrings(exif) {
+  const fields = {};
+  if (!exif) {
+    return fields;
+  }
+
+  try {
+    const start = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0;
+    const littleEndian = exif.toString('latin1', start, start + 2) === 'II';
+    const read16 = (offset) =>
+      littleEndian ? exif.readUInt16LE(start + offset) : exif.readUInt16BE(start + offset);
+    const read32 = (offset) =>
+      littleEndian ? exif.readUInt32LE(start + offset) : exif.readUInt32BE(start + offset);
+
+    const ifd = read32(4);
+    const entryCount = read16(ifd);
+    for (let i = 0; i < entryCount; i++) {
+      const entry = ifd + 2 + i * 12;
+      const name = COPYRIGHT_TAGS[read16(entry)];
+      const isAscii = read16(entry + 2) === 2;
+      if (name && isAscii) {
+        const length = read32(entry + 4);
+        const valueOffset = length <= 4 ? entry + 8 : read32(entry + 8);
+        const value = exif
+          .toString('utf8', start + valueOffset, start + valueOffset + length)
+          .replace(/\0+$/, '')
+          .trim();
+        if (value) fields[name] = value;
+      }
+    }
+  } catch (err) {
+    // Malformed EXIF data has no fields to keep
+  }
+
+  return fields;
+}
+
+module.exports = {
+  METADATA_POLICIES,
+  loadImage,
+  getOrientedSize,
+};
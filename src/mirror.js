@@ -0,0 +1,98 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const { loadCache } = require('./cache');
+const { isTempFile } = require('./atomic');
+
+/**
+ * Lists the outputs that earlier runs recorded as written: the outputs of
+ * every entry of the cache manifest (--cache) and of the responsive image
+ * manifest (--manifest). Read before this run replaces both files.
+ * @param {string} outputDir - Output directory path
+ * @param {Object} options - Optimization options with `manifest`
+ * @returns {Promise<string[]>} - Recorded outputs, relative to the output directory
+ */
+async function loadRecordedOutputs(outputDir, options) {
+  const { entries } = await loadCache(outputDir);
+  const recorded = Object.values(entries).flatMap((entry) => entry.outputs || []);
+
+  if (options.manifest && (await fs.pathExists(options.manifest))) {
+    const manifest = await fs.readJson(options.manifest).catch(() => ({}));
+    Object.values(manifest.images || {}).forEach((image) => {
+      (image.outputs || []).forEach((output) => recorded.push(output.path));
+    });
+  }
+  return recorded;
+}
+
+/**
+ * Removes the files of the output folder that the run does not produce
+ * (--mirror). Only files that optiweb wrote are removed: outputs recorded by
+ * loadRecordedOutputs and temporary files of interrupted runs; other files are
+ * removed with `mirrorAll` only. Nothing is removed in a dry run. Paths are
+ * compared case-insensitively: on macOS and Windows an output written as
+ * `photo.webp` may still carry the `Photo.webp` name of an earlier run.
+ * @param {string} outputDir - Output directory path
+ * @param {string[]} keep - Paths of every output and sidecar file of the run
+ * @param {string[]} recorded - Outputs returned by loadRecordedOutputs
+ * @param {Object} options - Optimization options (`mirrorAll`, `dryRun`)
+ * @returns {Promise<Object>} - `pruned` files (removed, or to remove in a dry run) and
+ *   `foreign` files kept because optiweb did not write them, relative to the output directory
+ */
+async function mirrorOutputs(outputDir, keep, recorded, options) {
+  if (!fs.existsSync(outputDir)) {
+    return { pruned: [], foreign: [] };
+  }
+  const kept = new Set(keep.map((file) => toKey(path.relative(outputDir, path.resolve(file)))));
+  const written = new Set(recorded.map(toKey));
+  const orphans = glob
+    .sync('**/*', { cwd: outputDir, nodir: true, dot: true })
+    .filter((file) => !kept.has(toKey(file)));
+
+  const isWritten = (file) => written.has(toKey(file)) || isTempFile(file);
+  const pruned = options.mirrorAll ? orphans : orphans.filter(isWritten);
+  const foreign = options.mirrorAll ? [] : orphans.filter((file) => !isWritten(file));
+  if (!options.dryRun) {
+    await pruneOutputs(outputDir, pruned);
+  }
+  return { pruned, foreign };
+}
+
+/**
+ * Deletes orphaned outputs, then the folders they leave empty
+ * @param {string} outputDir - Output directory path
+ * @param {string[]} files - Files to delete, relative to the output directory
+ * @returns {Promise<void>}
+ */
+async function pruneOutputs(outputDir, files) {
+  const folders = new Set();
+  for (const file of files) {
+    await fs.remove(path.join(outputDir, file));
+    for (let dir = path.dirname(file); dir !== '.'; dir = path.dirname(dir)) {
+      folders.add(dir);
+    }
+  }
+
+  // Deepest folders first, so a parent is checked after its subfolders
+  const byDepth = [...folders].sort((a, b) => b.split('/').length - a.split('/').length);
+  for (const dir of byDepth) {
+    const folder = path.join(outputDir, dir);
+    if ((await fs.pathExists(folder)) && (await fs.readdir(folder)).length === 0) {
+      await fs.rmdir(folder);
+    }
+  }
+}
+
+/**
+ * Normalizes a relative path for comparison
+ * @param {string} file - Path relative to the output directory
+ * @returns {string} - Lower-case path with forward slashes
+ */
+function toKey(file) {
+  return file.split(path.sep).join('/').toLowerCase();
+}
+
+module.exports = {
+  loadRecordedOutputs,
+  mirrorOutputs,
+};
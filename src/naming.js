@@ -0,0 +1,302 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { getOptionsFingerprint } = require('./cache');
+const { parseAspectRatio } = require('./crop');
+
+/**
+ * Tokens accepted in --output-template and --suffix-pattern
+ */
+const TEMPLATE_TOKENS = [
+  'dir',
+  'name',
+  'width',
+  'height',
+  'density',
+  'format',
+  'ext',
+  'hash',
+  'ratio',
+];
+
+/**
+ * Number of hex characters of the content hash written for {hash}
+ */
+const HASH_LENGTH = 8;
+
+/**
+ * Parses size descriptors: widths (400 or w400), heights (h400) and pixel
+ * densities of a base size (64@1x,2x,3x; the densities after the first
+ * reuse its base size)
+ * @param {Array|string} sizes - Size descriptors, or descriptors parsed earlier
+ * @returns {Object[]} - Sizes with `width` or `height` in pixels and, for densities, `density`
+ * @throws {Error} - If a descriptor is invalid
+ */
+function parseSizes(sizes) {
+  const items = Array.isArray(sizes) ? sizes : String(sizes).split(',');
+  let base = null;
+
+  return items.map((item) => {
+    if (item !== null && typeof item === 'object') {
+      return item;
+    }
+
+    const value = String(item).trim();
+    const sizeMatch = value.match(/^([wh]?)(\d+)(?:@(\d+(?:\.\d+)?)x)?$/i);
+    const densityMatch = value.match(/^(\d+(?:\.\d+)?)x$/i);
+
+    if (sizeMatch && Number(sizeMatch[2]) > 0) {
+      const dimension = sizeMatch[1].toLowerCase() === 'h' ? 'height' : 'width';
+      const pixels = Number(sizeMatch[2]);
+      base = sizeMatch[3] ? { dimension, pixels } : null;
+      return sizeMatch[3]
+        ? createDensitySize(base, Number(sizeMatch[3]), value)
+        : { [dimension]: pixels };
+    }
+    if (densityMatch && base) {
+      return createDensitySize(base, Number(densityMatch[1]), value);
+    }
+    if (densityMatch) {
+      throw new Error(`Density ${value} needs a base size first (e.g. 64@1x,2x,3x)`);
+    }
+    throw new Error(`Invalid size value: ${value} (e.g. 400, h400, 64@1x,2x)`);
+  });
+}
+
+/**
+ * Creates the size of one pixel density of a base size
+ * @param {Object} base - Base `dimension` (width or height) and `pixels`
+ * @param {number} density - Pixel density (e.g. 2 for 2x)
+ * @param {string} value - Descriptor, for errors
+ * @returns {Object} - Size with `width` or `height` and `density`
+ * @throws {Error} - If the density is not positive
+ */
+function createDensitySize(base, density, value) {
+  if (!(density > 0)) {
+    throw new Error(`Invalid size value: ${value} (e.g. 400, h400, 64@1x,2x)`);
+  }
+  return { [base.dimension]: Math.round(base.pixels * density), density };
+}
+
+/**
+ * Formats a size for log output
+ * @param {Object|number} size - Size returned by parseSizes, or a width
+ * @returns {string} - Descriptor such as 400, h400 or 128 (2x)
+ */
+function describeSize(size) {
+  if (typeof size !== 'object') {
+    return String(size);
+  }
+  const pixels = size.width !== undefined ? String(size.width) : `h${size.height}`;
+  return size.density ? `${pixels} (${size.density}x)` : pixels;
+}
+
+/**
+ * Checks whether the file names of an image depend on its content hash
+ * @param {Object} options - Optimization options (`outputTemplate`, `resize`)
+ * @returns {boolean} - True if a template or suffix pattern uses {hash}
+ */
+function usesContentHash(options) {
+  const suffixPattern = options.resize && options.resize.sizes && options.resize.suffixPattern;
+  return [options.outputTemplate, suffixPattern].some(
+    (template) => template && template.includes('{hash}'),
+  );
+}
+
+/**
+ * Computes the {hash} of an image: its content and the options that change
+ * its outputs, so new outputs get new names
+ * @param {Buffer} content - Source image data
+ * @param {Object} options - Optimization options
+ * @returns {string} - Hex hash of HASH_LENGTH characters
+ */
+function hashContent(content, options) {
+  return (
+    crypto
+      .createHash('sha1')
+      .update(content)
+      // Reference rewriting only changes copied text files
+      .update(getOptionsFingerprint({ ...options, rewriteReferences: false }))
+      .digest('hex')
+      .slice(0, HASH_LENGTH)
+  );
+}
+
+/**
+ * Returns the path of an image output relative to the output directory, from
+ * the output template, or from the suffix pattern for multi-size outputs
+ * @param {Object} naming - Naming details
+ * @param {Object} naming.options - Optimization options (`outputTemplate`, `resize`)
+ * @param {string} naming.dir - Folder of the source relative to the input folder
+ * @param {string} naming.name - Base name of the source (slugified with `slug`)
+ * @param {Object} [naming.size] - Size from parseSizes
+ * @param {Object} [naming.crop] - Aspect ratio from parseAspectRatio
+ * @param {string} naming.format - Output format (avif, webp, jpeg, png or gif)
+ * @param {string} naming.ext - Output extension without the dot
+ * @param {string} [naming.hash] - Content hash; without it {hash} is kept as is
+ * @returns {string|null} - Relative output path, or null for the default single-size names
+ */
+function getOutputName(naming) {
+  const { options, dir, name, size, crop, format, ext } = naming;
+  const fixedSize = (options.resize && !options.resize.sizes && options.resize) || {};
+  const tokens = {
+    dir,
+    name,
+    width: size ? size.width : fixedSize.width,
+    height: size ? size.height : fixedSize.height,
+    density: (size && size.density) || 1,
+    format,
+    ext,
+    hash: naming.hash,
+    ratio: crop ? crop.suffix : undefined,
+  };
+
+  if (options.outputTemplate) {
+    return path.normalize(expandTemplate(options.outputTemplate, tokens));
+  }
+  if (!size) {
+    return null;
+  }
+
+  // Crops add their ratio (-16x9) when the pattern does not place it
+  const suffixPattern = options.resize.suffixPattern || getDefaultSuffix(size);
+  let suffix = expandTemplate(suffixPattern, tokens);
+  if (crop && !suffixPattern.includes('{ratio}')) {
+    suffix += `-${crop.suffix}`;
+  }
+  return path.join(dir, `${name}${suffix}.${ext}`);
+}
+
+/**
+ * Returns the suffix pattern of a size when none is set
+ * @param {Object} size - Size from parseSizes
+ * @returns {string} - -{width}, -h{height} or @{density}x
+ */
+function getDefaultSuffix(size) {
+  if (size.density) {
+    return '@{density}x';
+  }
+  return size.width !== undefined ? '-{width}' : '-h{height}';
+}
+
+/**
+ * Replaces the {token} placeholders of a template; unknown values are kept
+ * @param {string} template - Template
+ * @param {Object} tokens - Token values
+ * @returns {string} - Expanded template
+ */
+function expandTemplate(template, tokens) {
+  return template.replace(/\{(\w+)\}/g, (match, token) =>
+    tokens[token] !== undefined ? String(tokens[token]) : match,
+  );
+}
+
+/**
+ * Checks the output template and suffix pattern against the sizes, crops and
+ * formats of a run: tokens must be known and have a value for every output,
+ * and no two outputs of an image may get the same name
+ * @param {Object} options - Resolved options (`outputTemplate`, `resize`, `formats`)
+ * @throws {Error} - If a template is invalid
+ */
+function validateOutputNames(options) {
+  const { outputTemplate, resize } = options;
+  const sizes = resize && resize.sizes ? parseSizes(resize.sizes) : [null];
+  const crops = resize && resize.aspectRatios ? resize.aspectRatios.map(parseAspectRatio) : [null];
+  const checks = [];
+  if (outputTemplate) checks.push({ template: outputTemplate, label: 'Output template' });
+  if (!outputTemplate && resize && resize.suffixPattern && resize.sizes) {
+    checks.push({ template: resize.suffixPattern, label: 'Suffix pattern' });
+  }
+
+  checks.forEach(({ template, label }) => {
+    const used = [...template.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+    const unknown = used.find((token) => !TEMPLATE_TOKENS.includes(token));
+    if (unknown) {
+      throw new Error(
+        `Unknown token {${unknown}} in ${label.toLowerCase()}. ` +
+          `Supported tokens: ${TEMPLATE_TOKENS.map((token) => `{${token}}`).join(', ')}`,
+      );
+    }
+
+    if (label === 'Output template') {
+      const segments = template.split(/[\\/]/);
+      if (path.isAbsolute(template) || segments.includes('..')) {
+        throw new Error('Output template must be a path inside the output folder.');
+      }
+      if (segments.slice(0, -1).some((segment) => segment.includes('{hash}'))) {
+        throw new Error('{hash} can only be used in the file name of the output template.');
+      }
+    }
+
+    ['width', 'height'].forEach((token) => {
+      if (!used.includes(token)) return;
+      if (!resize || (!resize.sizes && !(resize.width && resize.height))) {
+        throw new Error(`{${token}} in ${label.toLowerCase()} needs --sizes or --resize.`);
+      }
+      const size = sizes.find((s) => s && s[token] === undefined);
+      if (size) {
+        throw new Error(
+          `{${token}} in ${label.toLowerCase()} is not known for size ${describeSize(size)}.`,
+        );
+      }
+    });
+    if (used.includes('ratio') && !crops[0]) {
+      throw new Error(`{ratio} in ${label.toLowerCase()} needs --aspect-ratios.`);
+    }
+  });
+
+  // Outputs of one image must not overwrite each other
+  const names = new Set();
+  const formats = options.formats.map((format) =>
+    format === 'original' ? { format: 'jpeg', ext: 'jpg' } : { format, ext: format },
+  );
+  sizes.forEach((size) => {
+    crops.forEach((crop) => {
+      formats.forEach(({ format, ext }) => {
+        const naming = { options, dir: '.', name: 'image', size, crop, format, ext, hash: 'hash' };
+        const name = getOutputName(naming) || `image.${format}`;
+        if (names.has(name)) {
+          const label = outputTemplate ? 'Output template' : 'Suffix pattern';
+          throw new Error(
+            `${label} gives several outputs the same name (${name.split(path.sep).join('/')}); ` +
+              'add tokens such as {width}, {density} or {ext}.',
+          );
+        }
+        names.add(name);
+      });
+    });
+  });
+}
+
+/**
+ * Finds the files that match an output path containing {hash}, for outputs
+ * of sources that can no longer be hashed
+ * @param {string} outputPath - Output path with a {hash} placeholder in the file name
+ * @returns {Promise<string[]>} - Existing files with any hash in its place
+ */
+async function findHashedOutputs(outputPath) {
+  const dir = path.dirname(outputPath);
+  if (!(await fs.pathExists(dir))) {
+    return [];
+  }
+  const pattern = new RegExp(
+    `^${path
+      .basename(outputPath)
+      .split('{hash}')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join(`[0-9a-f]{${HASH_LENGTH}}`)}$`,
+  );
+  const files = await fs.readdir(dir);
+  return files.filter((file) => pattern.test(file)).map((file) => path.join(dir, file));
+}
+
+module.exports = {
+  TEMPLATE_TOKENS,
+  parseSizes,
+  describeSize,
+  usesContentHash,
+  hashContent,
+  getOutputName,
+  validateOutputNames,
+  findHashedOutputs,
+};
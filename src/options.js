@@ -0,0 +1,624 @@
+const os = require('os');
+const path = require('path');
+const { REPORT_FORMATS } = require('./report');
+const { METADATA_POLICIES } = require('./metadata');
+const { PLACEHOLDER_TYPES } = require('./placeholders');
+const { CROP_STRATEGIES, parseAspectRatio, isValidFocalPoint } = require('./crop');
+const { parseSizes, validateOutputNames } = require('./naming');
+const { WEBP_POLICIES } = require('./webp');
+const { WATERMARK_POSITIONS, parseWatermarkPosition } = require('./watermark');
+
+/**
+ * Supported output formats for --formats
+ */
+const SUPPORTED_FORMATS = ['avif', 'webp', 'original'];
+
+/**
+ * Source image types accepted by the icons command
+ */
+const ICON_SOURCE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.svg'];
+
+/**
+ * Default optimization options used by the programmatic API
+ */
+const DEFAULT_OPTIONS = {
+  webp: false,
+  quality: 85,
+  webpEffort: 6,
+  avifEffort: 4,
+  pngColors: 256,
+  pngDither: 1,
+  pngEffort: 7,
+  pngLossless: false,
+  keepOriginalIfSmaller: false,
+  targetSsim: null,
+  maxBytes: null,
+  maxOutputSize: null,
+  autoOrient: true,
+  metadata: 'strip',
+  copyright: null,
+  artist: null,
+  svgMinify: true,
+  svgPrecision: 3,
+  rasterizeSvg: false,
+  failOnBudget: false,
+  failOnError: false,
+  skipExisting: false,
+  cache: false,
+  mirror: false,
+  mirrorAll: false,
+  watch: false,
+  dryRun: false,
+  estimate: false,
+  manifest: null,
+  htmlSnippets: false,
+  htmlSizes: '100vw',
+  publicPath: '',
+  report: null,
+  reportFile: null,
+  placeholders: [],
+  placeholdersFile: null,
+  verbose: false,
+  silent: false,
+  ignorePatterns: [],
+  resize: null,
+  outputTemplate: null,
+  cropStrategy: 'center',
+  focalPoint: null,
+  onExistingWebp: 'skip',
+  watermark: null,
+  watermarkText: null,
+  watermarkPosition: { x: 1, y: 1 },
+  watermarkMargin: 0.02,
+  watermarkOpacity: 1,
+  watermarkScale: 0.2,
+  watermarkColor: '#ffffff',
+  watermarkFiles: [],
+  onlyResize: false,
+  webpLossless: false,
+  webpNearLossless: false,
+  slug: false,
+  slugDirs: false,
+  slugStrict: false,
+  renameMapFile: null,
+  rewriteReferences: false,
+  concurrency: os.cpus().length,
+};
+
+/**
+ * Default options of the on-demand image server and middleware
+ */
+const DEFAULT_SERVE_OPTIONS = {
+  port: 3000,
+  host: 'localhost',
+  widths: [],
+  cacheDir: path.join(os.tmpdir(), 'optiweb-serve'),
+  maxAge: 0,
+};
+
+/**
+ * Default options of the favicon and app icon set
+ */
+const DEFAULT_ICON_OPTIONS = {
+  name: null,
+  shortName: null,
+  themeColor: '#ffffff',
+  backgroundColor: '#ffffff',
+};
+
+/**
+ * Fills in defaults for optimization options passed to the programmatic API
+ * @param {Object} [options] - Optimization options
+ * @returns {Object} - Options with defaults applied
+ */
+function withDefaults(options = {}) {
+  const merged = { ...DEFAULT_OPTIONS, ...options };
+  if (merged.jpgQuality === undefined) merged.jpgQuality = merged.quality;
+  if (merged.pngQuality === undefined) merged.pngQuality = merged.quality;
+  return merged;
+}
+
+/**
+ * Converts raw CLI or config values into the options used by processDirectory
+ * @param {Object} raw - Raw option values (strings from the CLI or typed config values)
+ * @returns {Object} - Validated optimization options
+ * @throws {Error} - If an option value is invalid
+ */
+function resolveOptions(raw) {
+  // Convert quality levels to numbers
+  const quality = parseInteger(raw.quality);
+  const jpgQuality = isSet(raw.jpgQuality) ? parseInteger(raw.jpgQuality) : quality;
+  const pngQuality = isSet(raw.pngQuality) ? parseInteger(raw.pngQuality) : quality;
+
+  if (isNaN(quality) || quality < 0 || quality > 100) {
+    throw new Error('General quality level must be between 0-100.');
+  }
+  if (isNaN(jpgQuality) || jpgQuality < 0 || jpgQuality > 100) {
+    throw new Error('JPG quality level must be between 0-100.');
+  }
+  if (isNaN(pngQuality) || pngQuality < 0 || pngQuality > 100) {
+    throw new Error('PNG quality level must be between 0-100.');
+  }
+
+  // Parse output formats (--webp is shorthand for --formats webp)
+  let formats = raw.webp ? ['webp'] : ['original'];
+
+  if (isSet(raw.formats)) {
+    formats = parseList(raw.formats).map((f) => f.toLowerCase());
+    const invalidFormat = formats.find((f) => !SUPPORTED_FORMATS.includes(f));
+    if (invalidFormat || formats.length === 0) {
+      throw new Error(
+        `Invalid output format: ${invalidFormat || raw.formats}. ` +
+          `Supported formats: ${SUPPORTED_FORMATS.join(', ')}`,
+      );
+    }
+    formats = [...new Set(formats)];
+  }
+
+  // Per-format encoder settings
+  const webpQuality = isSet(raw.webpQuality) ? parseInteger(raw.webpQuality) : undefined;
+  const webpEffort = parseInteger(raw.webpEffort);
+  const avifQuality = isSet(raw.avifQuality) ? parseInteger(raw.avifQuality) : undefined;
+  const avifEffort = parseInteger(raw.avifEffort);
+
+  if (webpQuality !== undefined && (isNaN(webpQuality) || webpQuality < 0 || webpQuality > 100)) {
+    throw new Error('WebP quality level must be between 0-100.');
+  }
+  if (isNaN(webpEffort) || webpEffort < 0 || webpEffort > 6) {
+    throw new Error('WebP effort must be between 0-6.');
+  }
+  if (avifQuality !== undefined && (isNaN(avifQuality) || avifQuality < 0 || avifQuality > 100)) {
+    throw new Error('AVIF quality level must be between 0-100.');
+  }
+  if (isNaN(avifEffort) || avifEffort < 0 || avifEffort > 9) {
+    throw new Error('AVIF effort must be between 0-9.');
+  }
+
+  // PNG palette quantization (--png-quality is the quantization quality)
+  const pngColors = isSet(raw.pngColors) ? parseInteger(raw.pngColors) : 256;
+  const pngDither = isSet(raw.pngDither) ? Number(raw.pngDither) : 1;
+  const pngEffort = isSet(raw.pngEffort) ? parseInteger(raw.pngEffort) : 7;
+
+  if (isNaN(pngColors) || pngColors < 2 || pngColors > 256) {
+    throw new Error('PNG colours must be between 2-256.');
+  }
+  if (isNaN(pngDither) || pngDither < 0 || pngDither > 1) {
+    throw new Error('PNG dither must be between 0-1 (e.g. 0.5).');
+  }
+  if (isNaN(pngEffort) || pngEffort < 1 || pngEffort > 10) {
+    throw new Error('PNG effort must be between 1-10.');
+  }
+
+  // Quality search targets
+  const targetSsim = isSet(raw.targetSsim) ? Number(raw.targetSsim) : null;
+  const maxBytes = isSet(raw.maxBytes) ? parseByteSize(raw.maxBytes) : null;
+
+  if (targetSsim !== null && (isNaN(targetSsim) || targetSsim <= 0 || targetSsim > 1)) {
+    throw new Error('Target SSIM must be between 0-1 (e.g. 0.98).');
+  }
+  if (maxBytes !== null && (isNaN(maxBytes) || maxBytes <= 0)) {
+    throw new Error(`Invalid byte size: ${raw.maxBytes} (e.g. 150000, 150kb, 1.5mb)`);
+  }
+
+  // Orientation and metadata written to the outputs
+  const metadata = isSet(raw.metadata) ? String(raw.metadata).toLowerCase() : 'strip';
+  if (!METADATA_POLICIES.includes(metadata)) {
+    throw new Error(
+      `Invalid metadata policy: ${raw.metadata}. Supported policies: ${METADATA_POLICIES.join(', ')}`,
+    );
+  }
+
+  // SVG minification
+  const svgPrecision = isSet(raw.svgPrecision) ? parseInteger(raw.svgPrecision) : 3;
+  if (isNaN(svgPrecision) || svgPrecision < 0 || svgPrecision > 10) {
+    throw new Error('SVG precision must be between 0-10 decimals.');
+  }
+
+  // Size budget for every image output
+  const maxOutputSize = isSet(raw.maxOutputSize) ? parseByteSize(raw.maxOutputSize) : null;
+  if (maxOutputSize !== null && (isNaN(maxOutputSize) || maxOutputSize <= 0)) {
+    throw new Error(`Invalid byte size: ${raw.maxOutputSize} (e.g. 200000, 200kb, 1.5mb)`);
+  }
+
+  // Crop window for cover resizes and aspect-ratio crops
+  const cropStrategy = isSet(raw.cropStrategy) ? String(raw.cropStrategy).toLowerCase() : 'center';
+  if (!CROP_STRATEGIES.includes(cropStrategy)) {
+    throw new Error(
+      `Invalid crop strategy: ${raw.cropStrategy}. Supported strategies: ${CROP_STRATEGIES.join(', ')}`,
+    );
+  }
+  if (isSet(raw.focalPoint) && !isValidFocalPoint(raw.focalPoint)) {
+    throw new Error('Focal point must be { x, y } with values between 0 and 1.');
+  }
+
+  // Source images with a WebP of the same name in their folder
+  const onExistingWebp = isSet(raw.onExistingWebp)
+    ? String(raw.onExistingWebp).toLowerCase()
+    : 'skip';
+  if (!WEBP_POLICIES.includes(onExistingWebp)) {
+    throw new Error(
+      `Invalid --on-existing-webp value: ${raw.onExistingWebp}. Supported values: ${WEBP_POLICIES.join(', ')}`,
+    );
+  }
+
+  // Watermark image or text stamped on raster outputs
+  if (isSet(raw.watermark) && isSet(raw.watermarkText)) {
+    throw new Error('Use either --watermark or --watermark-text, not both.');
+  }
+  const watermarkPosition = parseWatermarkPosition(
+    isSet(raw.watermarkPosition) ? raw.watermarkPosition : 'bottom-right',
+  );
+  if (!watermarkPosition) {
+    throw new Error(
+      `Invalid watermark position: ${raw.watermarkPosition}. ` +
+        `Use ${WATERMARK_POSITIONS.join(', ')} or x,y between 0 and 1 (e.g. 0.5,0.9).`,
+    );
+  }
+  const watermarkMargin = isSet(raw.watermarkMargin) ? Number(raw.watermarkMargin) : 0.02;
+  const watermarkOpacity = isSet(raw.watermarkOpacity) ? Number(raw.watermarkOpacity) : 1;
+  const watermarkScale = isSet(raw.watermarkScale) ? Number(raw.watermarkScale) : 0.2;
+  const watermarkColor = isSet(raw.watermarkColor) ? String(raw.watermarkColor) : '#ffffff';
+
+  if (isNaN(watermarkMargin) || watermarkMargin < 0 || watermarkMargin >= 0.5) {
+    throw new Error('Watermark margin must be between 0-0.5 of the output width (e.g. 0.02).');
+  }
+  if (isNaN(watermarkOpacity) || watermarkOpacity < 0 || watermarkOpacity > 1) {
+    throw new Error('Watermark opacity must be between 0-1 (e.g. 0.6).');
+  }
+  if (isNaN(watermarkScale) || watermarkScale <= 0 || watermarkScale > 1) {
+    throw new Error('Watermark scale must be between 0-1 of the output width (e.g. 0.2).');
+  }
+  if (!isHexColor(watermarkColor)) {
+    throw new Error(`Invalid watermark colour: ${raw.watermarkColor} (e.g. #ffffff)`);
+  }
+
+  // Output names: template tokens must fit the sizes, crops and formats
+  const resize = resolveResizeOptions(raw);
+  const outputTemplate = isSet(raw.outputTemplate) ? String(raw.outputTemplate) : null;
+  validateOutputNames({ formats, resize, outputTemplate });
+
+  // Parse ignore patterns
+  const ignorePatterns = isSet(raw.ignore) ? parseList(raw.ignore) : [];
+
+  // Responsive image manifest and <picture> markup
+  if (raw.htmlSnippets && !isSet(raw.manifest)) {
+    throw new Error('HTML snippets are written to the manifest; use --manifest <file.json>.');
+  }
+
+  // Machine-readable report
+  const report = isSet(raw.report) ? String(raw.report).toLowerCase() : null;
+  if (report !== null && !REPORT_FORMATS.includes(report)) {
+    throw new Error(
+      `Invalid report format: ${raw.report}. Supported formats: ${REPORT_FORMATS.join(', ')}`,
+    );
+  }
+  if (isSet(raw.reportFile) && report === null) {
+    throw new Error('A report file needs a report format; use --report json|ndjson|html.');
+  }
+
+  // Lazy-loading placeholders
+  const placeholders = isSet(raw.placeholders)
+    ? [...new Set(parseList(raw.placeholders).map((type) => type.toLowerCase()))]
+    : [];
+  const invalidPlaceholder = placeholders.find((type) => !PLACEHOLDER_TYPES.includes(type));
+  if (invalidPlaceholder) {
+    throw new Error(
+      `Invalid placeholder type: ${invalidPlaceholder}. ` +
+        `Supported types: ${PLACEHOLDER_TYPES.join(', ')}`,
+    );
+  }
+  if (isSet(raw.placeholdersFile) && placeholders.length === 0) {
+    throw new Error('A placeholders file needs placeholder types; use --placeholders <types>.');
+  }
+
+  // Dry run (--estimate implies it)
+  const dryRun = Boolean(raw.dryRun || raw.estimate);
+  if (dryRun && raw.watch) {
+    throw new Error('A dry run cannot be combined with --watch.');
+  }
+
+  // Number of files processed in parallel
+  const concurrency = isSet(raw.concurrency)
+    ? parseInteger(raw.concurrency)
+    : DEFAULT_OPTIONS.concurrency;
+  if (isNaN(concurrency) || concurrency <= 0) {
+    throw new Error('Concurrency must be a positive number.');
+  }
+
+  return {
+    webp: formats.includes('webp'),
+    formats,
+    quality,
+    jpgQuality,
+    pngQuality,
+    webpQuality,
+    webpEffort,
+    avifQuality,
+    avifEffort,
+    pngColors,
+    pngDither,
+    pngEffort,
+    pngLossless: Boolean(raw.pngLossless),
+    keepOriginalIfSmaller: Boolean(raw.keepOriginalIfSmaller),
+    targetSsim,
+    maxBytes,
+    maxOutputSize,
+    autoOrient: raw.autoOrient !== false,
+    metadata,
+    copyright: isSet(raw.copyright) ? String(raw.copyright) : null,
+    artist: isSet(raw.artist) ? String(raw.artist) : null,
+    svgMinify: raw.svgMinify !== false,
+    svgPrecision,
+    rasterizeSvg: Boolean(raw.rasterizeSvg),
+    failOnBudget: Boolean(raw.failOnBudget),
+    failOnError: Boolean(raw.failOnError),
+    skipExisting: Boolean(raw.skipExisting),
+    cache: Boolean(raw.cache),
+    mirror: Boolean(raw.mirror || raw.mirrorAll), // --mirror-all implies mirror mode
+    mirrorAll: Boolean(raw.mirrorAll),
+    watch: Boolean(raw.watch),
+    dryRun,
+    estimate: Boolean(raw.estimate),
+    manifest: isSet(raw.manifest) ? path.resolve(raw.manifest) : null,
+    htmlSnippets: Boolean(raw.htmlSnippets),
+    htmlSizes: isSet(raw.htmlSizes) ? String(raw.htmlSizes) : DEFAULT_OPTIONS.htmlSizes,
+    publicPath: isSet(raw.publicPath) ? String(raw.publicPath) : '',
+    report,
+    reportFile: isSet(raw.reportFile) ? path.resolve(raw.reportFile) : null,
+    placeholders,
+    placeholdersFile: isSet(raw.placeholdersFile) ? path.resolve(raw.placeholdersFile) : null,
+    verbose: Boolean(raw.verbose),
+    ignorePatterns,
+    resize,
+    outputTemplate,
+    cropStrategy,
+    focalPoint: isSet(raw.focalPoint) ? { x: raw.focalPoint.x, y: raw.focalPoint.y } : null,
+    onExistingWebp,
+    watermark: isSet(raw.watermark) ? path.resolve(raw.watermark) : null,
+    watermarkText: isSet(raw.watermarkText) ? String(raw.watermarkText) : null,
+    watermarkPosition,
+    watermarkMargin,
+    watermarkOpacity,
+    watermarkScale,
+    watermarkColor,
+    watermarkFiles: isSet(raw.watermarkFiles) ? parseList(raw.watermarkFiles) : [],
+    onlyResize: Boolean(raw.onlyResize),
+    webpLossless: Boolean(raw.webpLossless),
+    webpNearLossless: Boolean(raw.webpNearLossless),
+    slug: Boolean(raw.slug),
+    slugDirs: Boolean(raw.slugDirs),
+    slugStrict: Boolean(raw.slugStrict),
+    renameMapFile: isSet(raw.renameMapFile) ? path.resolve(raw.renameMapFile) : null,
+    rewriteReferences: Boolean(raw.rewriteReferences),
+    concurrency,
+  };
+}
+
+/**
+ * Converts raw values of the image server and middleware into their options
+ * @param {Object} raw - Raw option values (`port`, `host`, `widths`, `cacheDir`, `maxAge`)
+ * @returns {Object} - Validated server options
+ * @throws {Error} - If an option value is invalid
+ */
+function resolveServeOptions(raw) {
+  const port = isSet(raw.port) ? parseInteger(raw.port) : DEFAULT_SERVE_OPTIONS.port;
+  if (isNaN(port) || port < 0 || port > 65535) {
+    throw new Error('Port must be between 0-65535.');
+  }
+
+  // Widths a request may ask for with ?w=
+  const widths = isSet(raw.widths)
+    ? parseList(raw.widths).map((value) => {
+        const width = parseInteger(value);
+        if (isNaN(width) || width <= 0) {
+          throw new Error(`Invalid width: ${value} (e.g. 400,800,1200)`);
+        }
+        return width;
+      })
+    : [];
+
+  const maxAge = isSet(raw.maxAge) ? parseInteger(raw.maxAge) : DEFAULT_SERVE_OPTIONS.maxAge;
+  if (isNaN(maxAge) || maxAge < 0) {
+    throw new Error('Max age must be a number of seconds (0 or more).');
+  }
+
+  return {
+    port,
+    host: isSet(raw.host) ? String(raw.host) : DEFAULT_SERVE_OPTIONS.host,
+    widths: [...new Set(widths)].sort((a, b) => a - b),
+    cacheDir: isSet(raw.cacheDir) ? path.resolve(raw.cacheDir) : DEFAULT_SERVE_OPTIONS.cacheDir,
+    maxAge,
+  };
+}
+
+/**
+ * Converts raw values of the icons command into its options
+ * @param {Object} raw - Raw option values (`source`, `name`, `shortName`, `themeColor`,
+ *   `backgroundColor`)
+ * @returns {Object} - Validated icon options, with the absolute `source` path
+ * @throws {Error} - If an option value is invalid
+ */
+function resolveIconOptions(raw) {
+  if (!isSet(raw.source)) {
+    throw new Error('Icon source image is required (--source).');
+  }
+  const ext = path.extname(String(raw.source)).toLowerCase();
+  if (!ICON_SOURCE_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported icon source: ${raw.source}. Use a PNG, JPG or SVG image.`);
+  }
+
+  const themeColor = isSet(raw.themeColor)
+    ? String(raw.themeColor)
+    : DEFAULT_ICON_OPTIONS.themeColor;
+  const backgroundColor = isSet(raw.backgroundColor)
+    ? String(raw.backgroundColor)
+    : DEFAULT_ICON_OPTIONS.backgroundColor;
+  if (!isHexColor(themeColor)) {
+    throw new Error(`Invalid theme colour: ${raw.themeColor} (e.g. #1a73e8)`);
+  }
+  if (!isHexColor(backgroundColor)) {
+    throw new Error(`Invalid background colour: ${raw.backgroundColor} (e.g. #ffffff)`);
+  }
+
+  const name = isSet(raw.name) ? String(raw.name) : DEFAULT_ICON_OPTIONS.name;
+  return {
+    source: path.resolve(raw.source),
+    name,
+    shortName: isSet(raw.shortName) ? String(raw.shortName) : name,
+    themeColor,
+    backgroundColor,
+  };
+}
+
+/**
+ * Converts raw resize values into resize options
+ * @param {Object} raw - Raw option values
+ * @returns {Object|null} - Resize options, or null if no resize was requested
+ * @throws {Error} - If a resize value is invalid
+ */
+function resolveResizeOptions(raw) {
+  if (isSet(raw.aspectRatios) && !isSet(raw.sizes)) {
+    throw new Error('Aspect ratios are cropped at each width of --sizes; use --sizes <sizes>.');
+  }
+
+  if (isSet(raw.sizes)) {
+    // Using multiple sizes: widths, heights (h400) and densities (64@1x,2x)
+    const sizes = parseSizes(parseList(raw.sizes));
+
+    // Art-directed crops (e.g. 16:9,1:1) written at every size
+    const aspectRatios = isSet(raw.aspectRatios)
+      ? parseList(raw.aspectRatios).map((value) => {
+          const aspectRatio = parseAspectRatio(value);
+          if (!aspectRatio) {
+            throw new Error(`Invalid aspect ratio: ${value} (e.g. 16:9)`);
+          }
+          return aspectRatio.label;
+        })
+      : [];
+
+    const resizeOptions = {
+      sizes,
+      suffixPattern: raw.suffixPattern,
+      mode: raw.resizeMode,
+    };
+    if (aspectRatios.length > 0) {
+      resizeOptions.aspectRatios = [...new Set(aspectRatios)];
+    }
+    return resizeOptions;
+  }
+
+  if (isSet(raw.resize)) {
+    // Using single size (width x height)
+    const dimensions = String(raw.resize).split('x');
+    if (
+      dimensions.length !== 2 ||
+      isNaN(parseInt(dimensions[0])) ||
+      isNaN(parseInt(dimensions[1]))
+    ) {
+      throw new Error('Invalid resize format. Correct format: WIDTHxHEIGHT (e.g. 800x600)');
+    }
+
+    return {
+      width: parseInt(dimensions[0]),
+      height: parseInt(dimensions[1]),
+      mode: raw.resizeMode,
+    };
+  }
+
+  if (isSet(raw.maxWidth) || isSet(raw.maxHeight)) {
+    // Using maximum size
+    const resizeOptions = {};
+
+    if (isSet(raw.maxWidth)) {
+      const maxWidth = parseInteger(raw.maxWidth);
+      if (isNaN(maxWidth) || maxWidth <= 0) {
+        throw new Error('Maximum width must be a positive number.');
+      }
+      resizeOptions.maxWidth = maxWidth;
+    }
+
+    if (isSet(raw.maxHeight)) {
+      const maxHeight = parseInteger(raw.maxHeight);
+      if (isNaN(maxHeight) || maxHeight <= 0) {
+        throw new Error('Maximum height must be a positive number.');
+      }
+      resizeOptions.maxHeight = maxHeight;
+    }
+
+    return resizeOptions;
+  }
+
+  return null;
+}
+
+/**
+ * Parses a byte size such as 150000, "150kb" or "1.5MB" (1 KB = 1024 bytes)
+ * @param {string|number} value - Raw value
+ * @returns {number} - Size in bytes, or NaN if invalid
+ */
+function parseByteSize(value) {
+  if (typeof value === 'number') {
+    return Math.floor(value);
+  }
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) {
+    return NaN;
+  }
+  const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+  return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Parses an integer from a CLI string or a config number
+ * @param {string|number} value - Raw value
+ * @returns {number} - Parsed integer, or NaN if invalid
+ */
+function parseInteger(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : NaN;
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parses a comma-separated string or an array into a list of trimmed strings
+ * @param {string|Array} value - Raw value
+ * @returns {string[]} - List of values
+ */
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((item) => String(item).trim()).filter((item) => item !== '');
+}
+
+/**
+ * Checks whether a value is a hex colour
+ * @param {string} value - Colour such as #fff or #1a73e8
+ * @returns {boolean} - True for 3 or 6 digit hex colours
+ */
+function isHexColor(value) {
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+/**
+ * Checks whether a raw option value was provided
+ * @param {*} value - Raw value
+ * @returns {boolean} - True if the value is set
+ */
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  DEFAULT_OPTIONS,
+  DEFAULT_SERVE_OPTIONS,
+  DEFAULT_ICON_OPTIONS,
+  withDefaults,
+  resolveOptions,
+  resolveServeOptions,
+  resolveIconOptions,
+  parseList,
+  parseByteSize,
+};
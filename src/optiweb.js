@@ -5,16 +5,108 @@ const glob = require('glob');
 const ora = require('ora');
 const chalk = require('chalk');
 const micromatch = require('micromatch');
+const { getFileOptions } = require('./config');
+const { withDefaults } = require('./options');
+const {
+  CACHE_FILE_NAME,
+  loadCache,
+  saveCache,
+  hashFile,
+  getOptionsFingerprint,
+  isCacheEntryValid,
+} = require('./cache');
+const { buildManifest, writeManifest } = require('./manifest');
+const { REFERENCE_EXTENSIONS, rewriteReferences } = require('./references');
+const { searchQuality } = require('./quality');
+const { checkBudgets } = require('./budgets');
+const { loadImage, getOrientedSize } = require('./metadata');
+const { minifySvg } = require('./svg');
+const {
+  parseSizes,
+  describeSize,
+  usesContentHash,
+  hashContent,
+  getOutputName,
+} = require('./naming');
+const {
+  FOCAL_POINT_SUFFIX,
+  parseAspectRatio,
+  withFocalPoint,
+  getCropSize,
+  cropImage,
+} = require('./crop');
+const { createPlaceholders, buildPlaceholderMap, writePlaceholders } = require('./placeholders');
+const { slugify, slugifyPath, createSlugMap, buildRenameMap, writeRenameMap } = require('./slug');
+const {
+  isWebpFile,
+  createSiblingIndex,
+  findWebpSibling,
+  findWebpSiblings,
+  resolveWebpConflict,
+  describeWebpConflict,
+} = require('./webp');
+const { hasWatermark, applyWatermark } = require('./watermark');
+const { writeAtomic } = require('./atomic');
+const { formatBytes } = require('./format');
+const { loadRecordedOutputs, mirrorOutputs } = require('./mirror');
+const { isInside } = require('./paths');
+const {
+  getReportFile,
+  createNdjsonWriter,
+  buildReport,
+  createReportSummary,
+  writeReport,
+} = require('./report');
+
+/**
+ * Raster image extensions that are optimized; other files are copied as-is
+ */
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.tif', '.tiff'];
+
+/**
+ * SVG files are minified and, with `rasterizeSvg`, also written as raster images
+ */
+const SVG_EXTENSION = '.svg';
+
+/**
+ * Extensions written for the `original` format of sources that are not web
+ * raster formats: TIFF becomes JPEG, rasterized SVG becomes PNG
+ */
+const ORIGINAL_EXTENSIONS = { '.tif': '.jpg', '.tiff': '.jpg', '.svg': '.png' };
+
+/**
+ * Pixel density sharp renders SVG files at by default
+ */
+const SVG_DENSITY = 72;
+
+/**
+ * Descriptions of the `reason` of skipped file results, for log output
+ */
+const SKIP_REASONS = {
+  exists: 'already exists',
+  cached: 'unchanged',
+  'webp-exists': 'WebP exists',
+  'webp-replaced': 'replaced by the WebP of its source',
+};
+
+/**
+ * Number of images encoded in memory by --estimate, shared out between the
+ * groups of images with the same extension and formats (at least one each)
+ */
+const ESTIMATE_SAMPLE_SIZE = 10;
 
 /**
  * Processes and optimizes all files in a directory
  * @param {string} inputDir - Input directory path
  * @param {string} outputDir - Output directory path
- * @param {Object} options - Optimization options
- * @returns {Promise<Object>} - Result statistics
+ * @param {Object} options - Optimization options; `rules` holds per-glob options,
+ *   `silent` disables terminal output and `events` receives per-file events
+ * @returns {Promise<Object>} - Result statistics with per-file results in `files`
  */
-async function processDirectory(inputDir, outputDir, options) {
-  const spinner = ora('Scanning files...').start();
+async function processDirectory(inputDir, outputDir, options = {}) {
+  options = withDefaults(options);
+  const startedAt = new Date();
+  const spinner = ora({ text: 'Scanning files...', isSilent: options.silent }).start();
 
   // Check if input directory exists
   if (!fs.existsSync(inputDir)) {
@@ -22,11 +114,32 @@ async function processDirectory(inputDir, outputDir, options) {
     throw new Error(`Input directory not found: ${inputDir}`);
   }
 
-  // Create output directory if it doesn't exist
-  await fs.ensureDir(outputDir);
+  // Pruning an output folder that holds the input folder would delete sources
+  if (options.mirror && isInside(inputDir, outputDir)) {
+    spinner.fail('Output folder contains the input folder!');
+    throw new Error('Mirror mode needs an output folder outside the input folder.');
+  }
+
+  // Outputs that earlier runs recorded, before this run replaces the records
+  const recordedOutputs = options.mirror ? await loadRecordedOutputs(outputDir, options) : [];
 
-  // Find all files
-  const allFiles = glob.sync('**/*', { cwd: inputDir, nodir: true, dot: true });
+  // Create output directory if it doesn't exist (a dry run writes nothing)
+  if (!options.dryRun) {
+    await fs.ensureDir(outputDir);
+  }
+
+  // Per-file events go to the `events` emitter and, for NDJSON reports, to the report file
+  const reportFile = options.report ? getReportFile(options) : null;
+  const ndjson = options.report === 'ndjson' ? createNdjsonWriter(reportFile) : null;
+  const emit = (event, payload) => {
+    if (ndjson) ndjson.write(event, payload);
+    if (options.events) options.events.emit(event, payload);
+  };
+
+  // Find all files; focal point sidecars are read with their image, not copied
+  const allFiles = glob
+    .sync('**/*', { cwd: inputDir, nodir: true, dot: true })
+    .filter((file) => !file.endsWith(FOCAL_POINT_SUFFIX));
 
   // Filter ignored files
   let ignoredFiles = [];
@@ -46,259 +159,1150 @@ async function processDirectory(inputDir, outputDir, options) {
     }
   }
 
-  // Separate WebP files
-  const webpFiles = files.filter((file) => path.extname(file).toLowerCase() === '.webp');
-  const webpBaseNames = webpFiles.map((file) => path.basename(file, '.webp'));
+  // Output names of slugified files, with suffixes where slugified names collide
+  let slugPaths;
+  try {
+    slugPaths = createSlugMap(files, (file) => getFileOptions(file, options));
+  } catch (err) {
+    spinner.fail('Slugified file names collide!');
+    throw err;
+  }
 
   spinner.text = `${files.length} files found. Starting processing...`;
+  if (ndjson) {
+    ndjson.write('run:start', { inputDir, outputDir, files: files.length });
+    ignoredFiles.forEach((file) => ndjson.write('file:ignored', { file }));
+  }
 
   // Result statistics
-  const results = {
-    totalFiles: files.length,
+  const results = createResults(files.length, ignoredFiles.length);
+
+  // Process files with a bounded pool of workers. Per-file results are
+  // stored by index so the output order does not depend on which worker
+  // finishes first.
+  const fileResults = new Array(files.length);
+  let started = 0;
+
+  // Content-hash cache of the previous run, and the entries for this run. Mirror
+  // runs write it without --cache too, as the record of the outputs optiweb wrote.
+  const cache = options.cache || options.mirror ? await loadCache(outputDir) : null;
+  const cacheEntries = {};
+
+  const context = {
+    inputDir,
+    outputDir,
+    options,
+    spinner,
+    emit,
+    results,
+    sourceFiles: new Set(files),
+    siblings: createSiblingIndex(files),
+    slugPaths,
+    cache,
+    cacheEntries,
+  };
+
+  // Source images with a WebP file of the same name next to them
+  results.webpConflicts = files.map((file) => getWebpConflict(file, context)).filter(Boolean);
+  results.webpConflicts.forEach((conflict) => {
+    if (options.verbose) {
+      spinner.info(`WebP conflict: ${describeWebpConflict(conflict)}`);
+    }
+    if (ndjson) ndjson.write('webp:conflict', conflict);
+  });
+
+  // Slugified names that got a -2, -3 suffix
+  results.slugCollisions = [...slugPaths]
+    .filter(([file, output]) => {
+      const { slugDirs } = getFileOptions(file, options);
+      return output !== slugifyPath(file, slugDirs);
+    })
+    .map(([file, output]) => ({ file, output }));
+  if (options.verbose) {
+    results.slugCollisions.forEach(({ file, output }) => {
+      spinner.info(`Slug collision: ${file} -> ${output}`);
+    });
+  }
+
+  await runWithConcurrency(files.length, options.concurrency, async (i) => {
+    // Update progress
+    started++;
+    spinner.text = `Processing: ${files[i]} (${started}/${files.length})`;
+
+    const fileStartedAt = Date.now();
+    fileResults[i] = await processFile(files[i], context);
+    fileResults[i].duration = Date.now() - fileStartedAt;
+  });
+
+  results.files = fileResults.filter((r) => ['optimized', 'copied', 'planned'].includes(r.action));
+  results.errors = fileResults
+    .filter((r) => r.action === 'error')
+    .map((r) => ({ file: r.file, error: r.error.message }));
+  results.files.forEach((fileResult) => {
+    if (fileResult.formats) {
+      mergeFormatStats(results.formats, fileResult.formats);
+    }
+    if (fileResult.references) {
+      results.rewrittenReferences += fileResult.references.rewritten;
+      fileResult.references.unresolved.forEach((reference) => {
+        results.unresolvedReferences.push({ file: fileResult.file, reference });
+      });
+    }
+  });
+
+  // Outputs written by more than one source file
+  results.collisions = findCollisions(fileResults);
+
+  if (options.dryRun) {
+    // Every planned action, in input order, and optionally projected savings
+    results.plan = fileResults;
+    if (options.estimate) {
+      spinner.text = 'Estimating savings...';
+      results.estimate = await estimateSavings(fileResults, options);
+    }
+  }
+
+  // Check output sizes against the size budgets
+  results.overBudget = await checkBudgets(fileResults, options);
+
+  // Write the responsive image manifest
+  if (options.manifest && !options.dryRun) {
+    await writeManifest(options.manifest, await buildManifest(fileResults, outputDir, options));
+    spinner.info(`Manifest written: ${options.manifest}`);
+  }
+
+  // Write the placeholder sidecar; manifest entries also carry their image's placeholders
+  const placeholderMap = buildPlaceholderMap(fileResults, outputDir);
+  const placeholdersFile = options.placeholdersFile || path.join(outputDir, 'placeholders.json');
+  if (Object.keys(placeholderMap).length > 0 && !options.dryRun) {
+    await writePlaceholders(placeholdersFile, placeholderMap);
+    spinner.info(`Placeholders written: ${placeholdersFile}`);
+  }
+
+  // Write the rename map of slugified paths, e.g. to set up redirects
+  results.renames = buildRenameMap(slugPaths);
+  const renameMapFile = options.renameMapFile || path.join(outputDir, 'rename-map.json');
+  if (Object.keys(results.renames).length > 0 && !options.dryRun) {
+    await writeRenameMap(renameMapFile, results.renames);
+    spinner.info(`Rename map written: ${renameMapFile}`);
+  }
+
+  // Remove outputs that no source file produces any more (--mirror)
+  if (options.mirror && results.errors.length > 0) {
+    spinner.warn('Mirror skipped: the outputs of files that failed are unknown.');
+    // Nothing was pruned, so the outputs of earlier runs stay recorded for the next one
+    Object.entries(cache.entries).forEach(([file, entry]) => {
+      if (!cacheEntries[file]) cacheEntries[file] = { outputs: entry.outputs || [] };
+    });
+  } else if (options.mirror) {
+    const keep = fileResults.flatMap((fileResult) =>
+      fileResult.outputs
+        ? fileResult.outputs.map((output) => output.path)
+        : fileResult.outputPaths || [],
+    );
+    // The cache manifest is the record of the outputs for the next mirror run
+    keep.push(path.join(outputDir, CACHE_FILE_NAME));
+    if (options.manifest) keep.push(options.manifest);
+    if (Object.keys(placeholderMap).length > 0) keep.push(placeholdersFile);
+    if (Object.keys(results.renames).length > 0) keep.push(renameMapFile);
+    if (reportFile) keep.push(reportFile);
+
+    const { pruned, foreign } = await mirrorOutputs(outputDir, keep, recordedOutputs, options);
+    results.pruned = pruned;
+    results.foreignFiles = foreign;
+    if (options.verbose) {
+      const label = options.dryRun ? 'Would remove' : 'Removed';
+      pruned.forEach((file) => spinner.info(`${label}: ${file}`));
+      foreign.forEach((file) => spinner.info(`Kept (not written by optiweb): ${file}`));
+    }
+    if (foreign.length > 0) {
+      spinner.warn(
+        `Files not written by optiweb kept (--mirror-all removes them): ${foreign.length}`,
+      );
+    }
+    if (ndjson) {
+      results.pruned.forEach((file) => ndjson.write('output:pruned', { output: file }));
+    }
+  }
+
+  if (cache && !options.dryRun) {
+    await saveCache(cache, cacheEntries);
+  }
+
+  // Write the JSON/HTML report, or finish the NDJSON event stream
+  const duration = Date.now() - startedAt.getTime();
+  if (ndjson) {
+    ndjson.write('run:done', { duration, summary: createReportSummary(results) });
+    await ndjson.close();
+  } else if (reportFile) {
+    const run = { inputDir, outputDir, startedAt: startedAt.toISOString(), duration };
+    await writeReport(
+      reportFile,
+      options.report,
+      buildReport(fileResults, ignoredFiles, results, run),
+    );
+  }
+  if (reportFile) {
+    spinner.info(`Report written: ${reportFile}`);
+  }
+
+  // Show results
+  if (results.errors.length > 0) {
+    spinner.warn(`Processing completed with ${results.errors.length} errors.`);
+  } else {
+    spinner.succeed('All files processed successfully.');
+  }
+
+  if (results.skippedImages > 0) {
+    spinner.info(
+      `Number of images skipped because a WebP version exists: ${results.skippedImages}`,
+    );
+  }
+
+  if (results.overBudget.length > 0) {
+    spinner.warn(`Outputs over budget: ${results.overBudget.length}`);
+  }
+
+  if (results.collisions.length > 0) {
+    spinner.warn(`Output collisions: ${results.collisions.length}`);
+  }
+
+  if (results.slugCollisions.length > 0) {
+    spinner.warn(`Slugified names renamed with a suffix: ${results.slugCollisions.length}`);
+  }
+
+  if (results.unresolvedReferences.length > 0) {
+    spinner.warn(`Unresolved references: ${results.unresolvedReferences.length}`);
+  }
+
+  return results;
+}
+
+/**
+ * Creates an empty result statistics object
+ * @param {number} [totalFiles] - Number of files to process
+ * @param {number} [ignoredFiles] - Number of ignored files
+ * @returns {Object} - Result statistics
+ */
+function createResults(totalFiles = 0, ignoredFiles = 0) {
+  return {
+    totalFiles,
     optimizedImages: 0,
     resizedImages: 0,
     multiSizeImages: 0,
     copiedFiles: 0,
     skippedImages: 0, // Number of images skipped because a WebP version exists
-    ignoredFiles: ignoredFiles.length, // Number of ignored files
+    cachedFiles: 0, // Number of files skipped because they are unchanged since the last run
+    ignoredFiles, // Number of ignored files
+    rewrittenReferences: 0, // Number of asset references rewritten in copied text files
+    unresolvedReferences: [], // References that could not be resolved ({ file, reference })
+    overBudget: [], // Outputs larger than their size budget ({ file, output, size, budget, over })
+    collisions: [], // Output paths written by more than one source file ({ output, files })
+    webpConflicts: [], // Source images with a WebP of the same name ({ image, webp, policy, keep })
+    slugCollisions: [], // Slugified files renamed with a -2, -3 suffix ({ file, output })
+    renames: {}, // Output paths of slugified files, keyed by their source path
+    pruned: [], // Orphaned outputs removed by --mirror, relative to the output directory
+    foreignFiles: [], // Orphaned files kept by --mirror because optiweb did not write them
     totalSize: 0,
     totalSaved: 0,
+    formats: {}, // Per-format output statistics
+    files: [], // Per-file results
     errors: [],
   };
+}
 
-  // Process each file
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i];
-    const inputFile = path.join(inputDir, file);
-    const relativeOutputDir = path.dirname(file);
-    const absoluteOutputDir = path.join(outputDir, relativeOutputDir);
-
-    // Apply slug transformation if enabled
-    let outputFileName = file;
-    if (options.slug) {
-      const dirName = path.dirname(file);
-      const baseName = path.basename(file);
-      const slugifiedName = slugifyFilename(baseName);
-      outputFileName = dirName === '.' ? slugifiedName : path.join(dirName, slugifiedName);
-
-      if (options.verbose && baseName !== slugifiedName) {
-        spinner.info(`Slugified: ${baseName} -> ${slugifiedName}`);
-      }
+/**
+ * Processes a single file of the input directory: optimizes images, copies
+ * other files and applies the skip rules
+ * @param {string} file - File path relative to the input directory
+ * @param {Object} context - Run context (inputDir, outputDir, options, spinner, emit,
+ *   results, sourceFiles, siblings, slugPaths, cache, cacheEntries)
+ * @returns {Promise<Object>} - File result; `action` is optimized, copied, skipped or error
+ */
+async function processFile(file, context) {
+  const { inputDir, outputDir, options, spinner, emit, results } = context;
+  const { cache, cacheEntries } = context;
+  let fileOptions = getFileOptions(file, options);
+  const inputFile = path.join(inputDir, file);
+
+  // Output folder and name, slugified if enabled
+  const location = getOutputLocation(file, fileOptions, context.slugPaths);
+  const outputFileName = path.join(location.dir, location.name + path.extname(file));
+  if (fileOptions.verbose && outputFileName !== path.normalize(file)) {
+    spinner.info(`Slugified: ${file} -> ${outputFileName.split(path.sep).join('/')}`);
+  }
+  const outputFile = path.join(outputDir, outputFileName);
+
+  emit('file:start', { file, input: inputFile });
+
+  try {
+    // Get file stats
+    const stats = await fs.stat(inputFile);
+    results.totalSize += stats.size;
+
+    // Check file extension
+    const ext = path.extname(file).toLowerCase();
+    const isImage = isImageExtension(ext);
+    if (isImage) {
+      fileOptions = await withFocalPoint(inputFile, fileOptions);
     }
-    const outputFile = path.join(outputDir, outputFileName);
 
-    // Update progress
-    spinner.text = `Processing: ${file} (${i + 1}/${files.length})`;
+    // With a WebP of the same name next to it, the image does not overwrite that WebP
+    const webpConflict = getWebpConflict(file, context);
+    if (webpConflict && webpConflict.keep === 'both') {
+      fileOptions = withoutWebpOutput(webpConflict, fileOptions, context);
+    }
+    const hash =
+      isImage && usesContentHash(fileOptions)
+        ? hashContent(await fs.readFile(inputFile), fileOptions)
+        : null;
 
-    // Create output directory
-    await fs.ensureDir(absoluteOutputDir);
+    // Every output this file produces (all formats, sizes and slugged names)
+    const source = { ...location, hash };
+    const outputPaths = getOutputPaths(file, outputDir, fileOptions, source);
 
-    try {
-      // Get file stats
-      const stats = await fs.stat(inputFile);
-      results.totalSize += stats.size;
+    // Skip if all outputs already exist and skipping is enabled
+    if (fileOptions.skipExisting && outputPaths.every((p) => fs.existsSync(p))) {
+      if (fileOptions.verbose) {
+        spinner.info(`Skipped (already exists): ${file}`);
+      }
+      emit('file:skipped', { file, input: inputFile, reason: 'exists' });
+      if (cache) {
+        // Recorded for --mirror; without a hash the entry is never a cache hit
+        cacheEntries[file] = { outputs: outputPaths.map((p) => path.relative(outputDir, p)) };
+      }
+      const skippedResult = {
+        file,
+        action: 'skipped',
+        reason: 'exists',
+        input: inputFile,
+        isImage,
+        outputPaths,
+      };
+      const placeholders = await getPlaceholders(inputFile, ext, fileOptions);
+      if (placeholders) skippedResult.placeholders = placeholders;
+      return skippedResult;
+    }
 
-      // Skip if file already exists and skipping is enabled
-      if (options.skipExisting && fs.existsSync(outputFile)) {
-        if (options.verbose) {
-          spinner.info(`Skipped (already exists): ${file}`);
+    // Skip if neither the source nor the options changed since the last run. The
+    // entry is also made for --mirror, which only records the outputs.
+    let cacheEntry = null;
+    if (cache) {
+      cacheEntry = {
+        hash: await hashFile(inputFile),
+        fingerprint: getOptionsFingerprint(fileOptions),
+        outputs: outputPaths.map((p) => path.relative(outputDir, p)),
+      };
+      const previousEntry = cache.entries[file];
+      // Rewritten references follow the output names of other files, which the entry misses
+      const rewritesReferences =
+        fileOptions.rewriteReferences && REFERENCE_EXTENSIONS.includes(ext);
+      if (
+        options.cache &&
+        !rewritesReferences &&
+        isCacheEntryValid(previousEntry, cacheEntry, outputDir)
+      ) {
+        const skippedResult = {
+          file,
+          action: 'skipped',
+          reason: 'cached',
+          input: inputFile,
+          isImage,
+          outputPaths,
+        };
+        const placeholders = await getPlaceholders(
+          inputFile,
+          ext,
+          fileOptions,
+          previousEntry.placeholders,
+        );
+        if (placeholders) skippedResult.placeholders = placeholders;
+        cacheEntries[file] = placeholders ? { ...previousEntry, placeholders } : previousEntry;
+        results.cachedFiles++;
+        if (fileOptions.verbose) {
+          spinner.info(`Skipped (unchanged): ${file}`);
         }
-        continue;
+        emit('file:skipped', { file, input: inputFile, reason: 'cached' });
+        return skippedResult;
       }
+    }
 
-      // Check file extension
-      const ext = path.extname(file).toLowerCase();
-      const baseName = path.basename(file, ext);
-
-      if (['.jpg', '.jpeg', '.png'].includes(ext)) {
-        // Check if a WebP file with the same name exists
-        if (webpBaseNames.includes(baseName)) {
-          // Skip PNG/JPG if WebP already exists
-          results.skippedImages++;
-          if (options.verbose) {
-            spinner.info(`Skipped (WebP exists): ${file}`);
-          }
-          continue;
+    // A WebP replaced by the WebP output of its source image is not copied
+    const replacingImage = isWebpFile(file) ? findReplacingImage(file, context) : null;
+    if (replacingImage) {
+      if (fileOptions.verbose) {
+        spinner.info(`Skipped (replaced by ${replacingImage}): ${file}`);
+      }
+      emit('file:skipped', { file, input: inputFile, reason: 'webp-replaced' });
+      return { file, action: 'skipped', reason: 'webp-replaced' };
+    }
+
+    if (isImage) {
+      // Skip the image when the policy keeps the WebP next to it
+      if (webpConflict && webpConflict.keep === 'webp') {
+        results.skippedImages++;
+        if (fileOptions.verbose) {
+          spinner.info(`Skipped (WebP exists): ${file}`);
         }
+        emit('file:skipped', { file, input: inputFile, reason: 'webp-exists' });
+        return { file, action: 'skipped', reason: 'webp-exists' };
+      }
 
-        // Multi-size processing
-        if (options.resize && options.resize.sizes) {
-          const sizeResults = await processMultiSizeImage(
-            inputFile,
-            absoluteOutputDir,
-            baseName,
-            ext,
-            options,
-            options.slug ? slugifyFilename(baseName) : baseName,
-          );
-          results.multiSizeImages++;
-          results.optimizedImages += sizeResults.optimizedCount;
-          results.totalSaved += sizeResults.totalSaved;
-
-          if (options.verbose) {
-            spinner.info(`Multi-size processing: ${file} (${options.resize.sizes.join(', ')})`);
-            if (sizeResults.totalSaved > 0) {
-              const reduction = ((sizeResults.totalSaved / stats.size) * 100).toFixed(2);
-              spinner.info(
-                `Total space saved: ${formatBytes(sizeResults.totalSaved)} (-%${reduction})`,
-              );
-            }
-          }
-        } else {
-          // Optimize image file
-          let outputFilePath = outputFile;
-
-          // Convert to WebP if requested
-          if (options.webp) {
-            // Use slugified basename if slug option is enabled
-            const baseNameToUse = options.slug
-              ? path.basename(slugifyFilename(baseName))
-              : baseName;
-            outputFilePath = path.join(absoluteOutputDir, `${baseNameToUse}.webp`);
-          }
+      // Dry run: report the planned outputs without writing anything
+      if (fileOptions.dryRun) {
+        const outputs = planOutputs(file, outputDir, fileOptions, source);
+        return createPlannedResult(file, inputFile, stats.size, 'optimize', outputs, emit);
+      }
 
-          // Optimize image
-          await optimizeImage(inputFile, outputFilePath, ext, options);
+      // Optimize the image into every requested format (and size)
+      const fileResult = await optimizeFile(inputFile, outputDir, fileOptions, source);
+      const multiSize = Boolean(fileOptions.resize && fileOptions.resize.sizes);
 
-          results.optimizedImages++;
-          if (options.resize) {
-            results.resizedImages++;
+      if (multiSize) {
+        results.multiSizeImages++;
+        if (!fileOptions.onlyResize) {
+          results.optimizedImages += fileResult.outputs.length;
+        }
+      } else {
+        results.optimizedImages += fileResult.outputs.length;
+        if (fileOptions.resize) {
+          results.resizedImages += fileResult.outputs.length;
+        }
+      }
+      results.totalSaved += fileResult.saved;
+      if (cacheEntry) {
+        if (fileResult.placeholders) cacheEntry.placeholders = fileResult.placeholders;
+        cacheEntries[file] = cacheEntry;
+      }
+
+      if (fileOptions.verbose) {
+        if (multiSize) {
+          const sizes = parseSizes(fileOptions.resize.sizes).map(describeSize);
+          spinner.info(`Multi-size processing: ${file} (${sizes.join(', ')})`);
+          if (!fileOptions.onlyResize) {
+            // Every output is compared with the source
+            const inputSize = stats.size * fileResult.outputs.length;
+            const change = formatChange(inputSize, inputSize - fileResult.saved);
+            spinner.info(
+              fileResult.saved >= 0
+                ? `Total space saved: ${formatBytes(fileResult.saved)} (${change})`
+                : `Total size increase: ${formatBytes(-fileResult.saved)} (${change})`,
+            );
           }
+        } else {
+          fileResult.outputs.forEach((output) => {
+            const label = fileResult.outputs.length > 1 ? ` [${output.format}]` : '';
+            spinner.info(
+              `Optimized: ${file}${label} (${formatChange(stats.size, output.size)})` +
+                formatOutputNote(output),
+            );
+          });
+        }
+      }
+      const optimizedResult = { file, action: 'optimized', ...fileResult };
+      emit('file:done', optimizedResult);
+      return optimizedResult;
+    } else {
+      if (fileOptions.dryRun) {
+        const outputs = [{ path: outputFile }];
+        return createPlannedResult(file, inputFile, stats.size, 'copy', outputs, emit);
+      }
 
-          // Calculate space saved
-          const optimizedStats = await fs.stat(outputFilePath);
-          const saved = stats.size - optimizedStats.size;
-          results.totalSaved += saved;
+      const fileResult = {
+        file,
+        action: 'copied',
+        input: inputFile,
+        inputSize: stats.size,
+        outputs: [{ path: outputFile, size: stats.size }],
+      };
+      await fs.ensureDir(path.dirname(outputFile));
 
-          if (options.verbose) {
-            const reduction = ((saved / stats.size) * 100).toFixed(2);
-            spinner.info(`Optimized: ${file} (-%${reduction})`);
-          }
+      if (fileOptions.rewriteReferences && REFERENCE_EXTENSIONS.includes(ext)) {
+        // Copy text files with their asset references pointing at the output paths
+        const content = await fs.readFile(inputFile, 'utf8');
+        const references = rewriteReferences(
+          content,
+          file,
+          (sourcePath) => resolveReferenceTarget(sourcePath, context),
+          outputFileName,
+        );
+        await writeAtomic(outputFile, (tempFile) => fs.writeFile(tempFile, references.content));
+        fileResult.outputs[0].size = Buffer.byteLength(references.content);
+        fileResult.references = {
+          rewritten: references.rewritten,
+          unresolved: references.unresolved,
+        };
+
+        if (fileOptions.verbose && references.rewritten > 0) {
+          spinner.info(`Rewrote ${references.rewritten} references: ${file}`);
         }
       } else {
         // Copy other files as-is
-        await fs.copy(inputFile, outputFile);
-        results.copiedFiles++;
+        await writeAtomic(outputFile, (tempFile) => fs.copy(inputFile, tempFile));
+      }
+      results.copiedFiles++;
+
+      // WebP files are copied, but are images that need placeholders too
+      const placeholders = await getPlaceholders(inputFile, ext, fileOptions);
+      if (placeholders) fileResult.placeholders = placeholders;
+      if (cacheEntry) {
+        if (placeholders) cacheEntry.placeholders = placeholders;
+        cacheEntries[file] = cacheEntry;
+      }
+
+      if (fileOptions.verbose) {
+        spinner.info(`Copied: ${file}`);
+      }
+      emit('file:done', fileResult);
+      return fileResult;
+    }
+  } catch (err) {
+    spinner.warn(`Error: ${file} - ${err.message}`);
+    emit('file:error', { file, input: inputFile, error: err });
+    return { file, action: 'error', error: err };
+  }
+}
+
+/**
+ * Creates the result of a file in a dry run and emits `file:planned`
+ * @param {string} file - File path relative to the input directory
+ * @param {string} inputFile - Input file path
+ * @param {number} inputSize - Input file size in bytes
+ * @param {string} operation - Planned operation (optimize or copy)
+ * @param {Object[]} outputs - Planned outputs with `path` (and `format`, `width` for images)
+ * @param {Function} emit - Event emitter function
+ * @returns {Object} - File result with action `planned`
+ */
+function createPlannedResult(file, inputFile, inputSize, operation, outputs, emit) {
+  const plannedResult = {
+    file,
+    action: 'planned',
+    operation,
+    input: inputFile,
+    inputSize,
+    outputs,
+  };
+  emit('file:planned', plannedResult);
+  return plannedResult;
+}
+
+/**
+ * Finds output paths that more than one source file writes to. Paths are
+ * compared case-insensitively, as they collide on macOS and Windows.
+ * @param {Object[]} fileResults - Results returned by processFile
+ * @returns {Object[]} - Collisions with the `output` path and the source `files`
+ */
+function findCollisions(fileResults) {
+  const owners = new Map();
+
+  fileResults.forEach((fileResult) => {
+    const outputPaths = fileResult.outputs
+      ? fileResult.outputs.map((output) => output.path)
+      : fileResult.outputPaths || [];
+    new Set(outputPaths).forEach((outputPath) => {
+      const key = outputPath.toLowerCase();
+      if (!owners.has(key)) {
+        owners.set(key, { output: outputPath, files: [] });
+      }
+      owners.get(key).files.push(fileResult.file);
+    });
+  });
+
+  return [...owners.values()].filter((owner) => owner.files.length > 1);
+}
+
+/**
+ * Projects the savings of a dry run by encoding a sample of the planned
+ * images in memory. The output/input size ratio of each source extension and
+ * output format in the sample is applied to every planned output of that
+ * extension and format. Outputs without a sampled ratio (the sampled images
+ * of their group could not be read) are counted at their source size.
+ * @param {Object[]} fileResults - Results of a dry run
+ * @param {Object} options - Optimization options with optional `rules`
+ * @returns {Promise<Object>} - Number of `images` and `sampled` images, total `inputSize`,
+ *   estimated `outputSize` and `saved` bytes, and the number of `unestimated` outputs
+ */
+async function estimateSavings(fileResults, options) {
+  const planned = fileResults.filter((r) => r.action === 'planned' && r.operation === 'optimize');
+  const getRatioKey = (plannedResult, output) =>
+    `${path.extname(plannedResult.file).toLowerCase()}:${output.format}`;
+
+  // Images with the same extension and output formats are sampled together,
+  // so an SVG among JPGs or a format set by a rule gets its own ratio
+  const groups = new Map();
+  planned.forEach((plannedResult) => {
+    const key = plannedResult.outputs.map((output) => getRatioKey(plannedResult, output)).join();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(plannedResult);
+  });
+
+  // Evenly spaced within each group, so one folder of similar images does not dominate
+  const sample = [];
+  groups.forEach((group) => {
+    const count = Math.max(1, Math.round((ESTIMATE_SAMPLE_SIZE * group.length) / planned.length));
+    const step = group.length / Math.min(count, group.length);
+    for (let i = 0; i < group.length; i += step) {
+      sample.push(group[Math.floor(i)]);
+    }
+  });
+
+  const ratios = {};
+  for (const plannedResult of sample) {
+    const fileOptions = getFileOptions(plannedResult.file, options);
+    const ext = path.extname(plannedResult.file).toLowerCase();
+    const input = await fs.readFile(plannedResult.input);
+    // An image that cannot be decoded gives no ratio; it would fail in a real run too
+    const outputs = plannedResult.outputs;
+    const encodedOutputs = await encodeSample(input, ext, outputs, fileOptions).catch(() => []);
+    encodedOutputs.forEach(({ output, outputSize }) => {
+      const key = getRatioKey(plannedResult, output);
+      ratios[key] = ratios[key] || { inputSize: 0, outputSize: 0 };
+      ratios[key].inputSize += input.length;
+      ratios[key].outputSize += outputSize;
+    });
+  }
+
+  const estimate = {
+    images: planned.length,
+    sampled: sample.length,
+    inputSize: 0,
+    outputSize: 0,
+    saved: 0,
+    unestimated: 0,
+  };
+  planned.forEach((plannedResult) => {
+    estimate.inputSize += plannedResult.inputSize;
+    plannedResult.outputs.forEach((output) => {
+      const sampled = ratios[getRatioKey(plannedResult, output)];
+      if (!sampled) estimate.unestimated++;
+      const ratio = sampled ? sampled.outputSize / sampled.inputSize : 1;
+      const outputSize = Math.round(plannedResult.inputSize * ratio);
+      estimate.outputSize += outputSize;
+      estimate.saved += plannedResult.inputSize - outputSize;
+    });
+  });
+
+  return estimate;
+}
+
+/**
+ * Encodes the planned outputs of a sampled image in memory
+ * @param {Buffer} input - Source image data
+ * @param {string} ext - Source file extension
+ * @param {Object[]} outputs - Planned outputs (format, width)
+ * @param {Object} fileOptions - Optimization options of the file
+ * @returns {Promise<Object[]>} - Each planned `output` with its encoded `outputSize`
+ */
+async function encodeSample(input, ext, outputs, fileOptions) {
+  const source = createSourceLoader(input, fileOptions);
+  const original = fileOptions.keepOriginalIfSmaller
+    ? { ext, size: input.length, ...getOrientedSize(await sharp(input).metadata(), fileOptions) }
+    : null;
+
+  const encodedOutputs = [];
+  for (const output of outputs) {
+    let encoded;
+    if (output.format === 'svg') {
+      encoded = await encodeSvg(input, fileOptions);
+    } else {
+      const image = await prepareOutput(source, output, ext, fileOptions);
+      if (fileOptions.onlyResize) {
+        encoded = await image.toBuffer({ resolveWithObject: true });
+      } else if (usesQualitySearch(output.format, ext, fileOptions)) {
+        encoded = await encodeWithQualitySearch(image, output.format, ext, fileOptions);
+      } else {
+        encoded = await applyFormat(image, output.format, ext, fileOptions).toBuffer({
+          resolveWithObject: true,
+        });
+      }
+    }
+
+    let outputSize = encoded.info.size;
+    if (
+      original &&
+      outputSize >= input.length &&
+      canKeepOriginal(original, output.format, encoded.info, fileOptions)
+    ) {
+      outputSize = input.length;
+    }
+    encodedOutputs.push({ output, outputSize });
+  }
+  return encodedOutputs;
+}
+
+/**
+ * Resolves the output a reference to a source file should point at: the
+ * original format if it is written, otherwise WebP, then AVIF, at the largest size
+ * @param {string} sourcePath - Referenced file, relative to the input directory (forward slashes)
+ * @param {Object} context - Run context (inputDir, outputDir, options, sourceFiles, siblings)
+ * @returns {string|null} - Output path relative to the output directory (forward slashes),
+ *   or null if the file is missing, ignored or not written
+ */
+function resolveReferenceTarget(sourcePath, context) {
+  const { inputDir, outputDir, options } = context;
+  const inputFile = path.join(inputDir, sourcePath);
+
+  if (!fs.existsSync(inputFile) || !fs.statSync(inputFile).isFile()) {
+    return null;
+  }
+  if (options.ignorePatterns.length > 0 && micromatch.isMatch(sourcePath, options.ignorePatterns)) {
+    return null;
+  }
+
+  const toOutputPath = (outputPath) =>
+    path.relative(outputDir, outputPath).split(path.sep).join('/');
+  const ext = path.extname(sourcePath).toLowerCase();
+  let fileOptions = getFileOptions(sourcePath, options);
+
+  const location = getOutputLocation(sourcePath, fileOptions, context.slugPaths);
+
+  if (!IMAGE_EXTENSIONS.includes(ext)) {
+    return toOutputPath(getOutputPaths(sourcePath, outputDir, fileOptions, location)[0]);
+  }
+
+  // Images skipped because of a WebP file point at the WebP next to them
+  const webpConflict = getWebpConflict(sourcePath, context);
+  if (webpConflict && webpConflict.keep === 'webp') {
+    return resolveReferenceTarget(webpConflict.webp, context);
+  }
+  if (webpConflict && webpConflict.keep === 'both') {
+    fileOptions = withoutWebpOutput(webpConflict, fileOptions, context);
+  }
+
+  const hash = usesContentHash(fileOptions)
+    ? hashContent(fs.readFileSync(inputFile), fileOptions)
+    : null;
+  const planned = planOutputs(sourcePath, outputDir, fileOptions, { ...location, hash });
+  const format = ['original', 'webp', 'avif'].find((f) => planned.some((o) => o.format === f));
+  const getPixels = (o) => o.width || o.height || 0;
+  const output = planned
+    .filter((o) => o.format === format)
+    .reduce((largest, o) => (getPixels(o) > getPixels(largest) ? o : largest));
+  return toOutputPath(output.path);
+}
+
+/**
+ * Finds the WebP file next to a source image and applies the --on-existing-webp
+ * policy of the image. A source image that wins but writes no output over the
+ * WebP keeps both files.
+ * @param {string} file - File path relative to the input directory
+ * @param {Object} context - Run context (inputDir, outputDir, options, siblings)
+ * @returns {Object|null} - Conflict returned by resolveWebpConflict, or null for other files
+ */
+function getWebpConflict(file, context) {
+  const { inputDir, options, siblings } = context;
+  if (!IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+    return null;
+  }
+  const webpFile = findWebpSibling(file, siblings);
+  if (!webpFile) {
+    return null;
+  }
+
+  const fileOptions = getFileOptions(file, options);
+  const conflict = resolveWebpConflict(inputDir, file, webpFile, fileOptions.onExistingWebp);
+  if (conflict.keep === 'source' && !overwritesWebp(conflict, fileOptions, context)) {
+    conflict.keep = 'both';
+  }
+  return conflict;
+}
+
+/**
+ * Checks whether a source image writes an output at the output path of the WebP next to it
+ * @param {Object} conflict - Conflict returned by resolveWebpConflict
+ * @param {Object} fileOptions - Optimization options of the image
+ * @param {Object} context - Run context (outputDir, options, slugPaths)
+ * @returns {boolean} - True if an output of the image replaces the copied WebP
+ */
+function overwritesWebp(conflict, fileOptions, context) {
+  const { outputDir, options, slugPaths } = context;
+  const webpOptions = getFileOptions(conflict.webp, options);
+  const [webpOutput] = getOutputPaths(
+    conflict.webp,
+    outputDir,
+    webpOptions,
+    getOutputLocation(conflict.webp, webpOptions, slugPaths),
+  );
+  return getOutputPaths(
+    conflict.image,
+    outputDir,
+    fileOptions,
+    getOutputLocation(conflict.image, fileOptions, slugPaths),
+  ).includes(webpOutput);
+}
+
+/**
+ * Finds the source image whose WebP output replaces a WebP file of the input directory
+ * @param {string} webpFile - WebP path relative to the input directory
+ * @param {Object} context - Run context (inputDir, outputDir, options, siblings)
+ * @returns {string|null} - Source image path, or null if the WebP is copied
+ */
+function findReplacingImage(webpFile, context) {
+  const image = findWebpSiblings(webpFile, context.siblings).find((file) => {
+    const conflict = getWebpConflict(file, context);
+    return conflict && conflict.webp === webpFile && conflict.keep === 'source';
+  });
+  return image || null;
+}
+
+/**
+ * Removes the WebP format from the options of an image when its WebP output
+ * would overwrite the WebP next to it; an image with only WebP output is then
+ * written in its original format
+ * @param {Object} conflict - Conflict returned by resolveWebpConflict
+ * @param {Object} options - Optimization options of the image
+ * @param {Object} context - Run context (outputDir, options)
+ * @returns {Object} - Options that keep the existing WebP
+ */
+function withoutWebpOutput(conflict, options, context) {
+  if (!overwritesWebp(conflict, options, context)) {
+    return options;
+  }
+  const formats = options.formats.filter((format) => format !== 'webp');
+  return { ...options, webp: false, formats: formats.length > 0 ? formats : ['original'] };
+}
+
+/**
+ * Runs an async task for every index with at most `concurrency` tasks in flight
+ * @param {number} count - Number of tasks
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @param {Function} task - Async function called with the task index
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(count, concurrency, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < count) {
+      const index = next++;
+      await task(index);
+    }
+  };
+  const workerCount = Math.max(1, Math.min(concurrency || 1, count));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+}
+
+/**
+ * Optimizes a single image into every requested format and size
+ * @param {string} inputFile - Input image path (JPG, PNG, GIF, TIFF or SVG)
+ * @param {string} outputDir - Output directory path
+ * @param {Object} [options] - Optimization options
+ * @param {Object} [source] - Folder of the image relative to the input folder (`dir`), for
+ *   {dir} in output templates, and its content `hash` when already computed
+ * @returns {Promise<Object>} - File result with input size, dimensions and `outputs`
+ */
+async function optimizeFile(inputFile, outputDir, options = {}, source = {}) {
+  options = await withFocalPoint(inputFile, withDefaults(options));
+  const ext = path.extname(inputFile).toLowerCase();
+
+  if (!isImageExtension(ext)) {
+    throw new Error(`Unsupported image type: ${ext}`);
+  }
+
+  const stats = await fs.stat(inputFile);
+  const { width, height } = getOrientedSize(await sharp(inputFile).metadata(), options);
+
+  const result = {
+    input: inputFile,
+    inputSize: stats.size,
+    width,
+    height,
+    outputs: [],
+    saved: 0,
+    formats: {},
+  };
+
+  const placeholders = await getPlaceholders(inputFile, ext, options);
+  if (placeholders) {
+    result.placeholders = placeholders;
+  }
+
+  const hash =
+    source.hash ||
+    (usesContentHash(options) ? hashContent(await fs.readFile(inputFile), options) : null);
+  const plannedOutputs = planOutputs(inputFile, outputDir, options, { ...source, hash });
+
+  // Output templates can place outputs in folders of their own
+  for (const dir of new Set(plannedOutputs.map((output) => path.dirname(output.path)))) {
+    await fs.ensureDir(dir);
+  }
+
+  // Source that --keep-original-if-smaller copies in place of larger outputs
+  const original = { path: inputFile, ext, size: stats.size, width, height };
+
+  // Multi-size processing
+  if (options.resize && options.resize.sizes) {
+    const sizeResults = await processMultiSizeImage(plannedOutputs, ext, options, original);
+    result.outputs = sizeResults.outputs;
+    result.saved = sizeResults.totalSaved;
+    result.formats = sizeResults.formats;
+    return result;
+  }
+
+  // Write one optimized output per requested format
+  for (const output of plannedOutputs) {
+    // Optimize image
+    let info = await optimizeImage(inputFile, output.path, ext, options, output.format);
+    info = await keepOriginalIfSmaller(original, output.path, output.format, info, options);
 
-        if (options.verbose) {
-          spinner.info(`Copied: ${file}`);
+    // Calculate space saved
+    const optimizedStats = await fs.stat(output.path);
+    result.saved += stats.size - optimizedStats.size;
+    recordFormatStats(result.formats, output.format, stats.size, optimizedStats.size);
+    result.outputs.push({
+      path: output.path,
+      format: output.format,
+      width: info.width,
+      height: getOutputHeight(info),
+      size: optimizedStats.size,
+      ...getQualityResult(info),
+      ...(info.keptOriginal && { keptOriginal: true }),
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Returns the output folder and base name of a file of the input directory,
+ * relative to the output directory
+ * @param {string} file - File path relative to the input directory
+ * @param {Object} options - Optimization options for the file (`slug`, `slugDirs`)
+ * @param {Map<string, string>} [slugPaths] - Output paths of the slugified files of
+ *   the run, from createSlugMap; without it names are slugified without collision suffixes
+ * @returns {Object} - Output folder (`dir`) and base name without extension (`name`)
+ */
+function getOutputLocation(file, options, slugPaths = null) {
+  let outputFile = file;
+  if (slugPaths && slugPaths.has(file)) {
+    outputFile = slugPaths.get(file);
+  } else if (options.slug) {
+    outputFile = slugifyPath(file.split(path.sep).join('/'), options.slugDirs);
+  }
+  return {
+    dir: path.dirname(outputFile),
+    name: path.basename(outputFile, path.extname(outputFile)),
+  };
+}
+
+/**
+ * Lists the output paths a file of the input directory produces
+ * @param {string} file - File path relative to the input directory
+ * @param {string} outputDir - Output directory path
+ * @param {Object} options - Optimization options for the file
+ * @param {Object} [source] - Output folder (`dir`) and base name (`name`) from
+ *   getOutputLocation, and the content `hash` for {hash} in output names
+ * @returns {string[]} - Absolute output paths
+ */
+function getOutputPaths(file, outputDir, options, source = {}) {
+  const ext = path.extname(file).toLowerCase();
+  source = { ...getOutputLocation(file, options), ...source };
+
+  if (isImageExtension(ext)) {
+    return planOutputs(file, outputDir, options, source).map((output) => output.path);
+  }
+
+  return [path.join(outputDir, source.dir, source.name + path.extname(file))];
+}
+
+/**
+ * Lists the output files an image produces, without writing anything. An
+ * SVG file is written as SVG (format `svg`), followed by its raster outputs
+ * when `rasterizeSvg` is set. Raster outputs are named by the output
+ * template, or by the suffix pattern of their size.
+ * @param {string} inputFile - Input image path
+ * @param {string} outputDir - Output directory path
+ * @param {Object} options - Optimization options
+ * @param {Object} [source] - Output folder (`dir`) and base name (`name`) of the image
+ *   from getOutputLocation, and its content `hash`
+ * @returns {Object[]} - Planned outputs with `path`, `format` and, for multi-size, the
+ *   `width`, `height` or `density` of the size and the aspect ratio of the `crop`
+ */
+function planOutputs(inputFile, outputDir, options, source = {}) {
+  const ext = path.extname(inputFile).toLowerCase();
+  const baseName = path.basename(inputFile, path.extname(inputFile));
+  const originalExt = getOriginalExtension(ext);
+  const dir = source.dir || '.';
+
+  // Use slugified names if slug option is enabled
+  let baseNameToUse = options.slug ? slugify(baseName) : baseName;
+  if (source.name !== undefined) {
+    baseNameToUse = source.name;
+  }
+  const fileNameToUse = baseNameToUse + path.extname(inputFile);
+  const formats = resolveFormats(options);
+  const outputs = [];
+
+  if (ext === SVG_EXTENSION) {
+    outputs.push({ path: path.join(outputDir, dir, fileNameToUse), format: 'svg' });
+    if (!options.rasterizeSvg) {
+      return outputs;
+    }
+  }
+
+  // One output per size and aspect ratio, or a single output per format
+  const multiSize = Boolean(options.resize && options.resize.sizes);
+  const sizes = multiSize ? parseSizes(options.resize.sizes) : [null];
+  const aspectRatios = multiSize ? (options.resize.aspectRatios || []).map(parseAspectRatio) : [];
+  const crops = aspectRatios.length > 0 ? aspectRatios : [null];
+
+  for (const size of sizes) {
+    for (const crop of crops) {
+      for (const format of formats) {
+        const outputExt = format === 'original' ? originalExt : `.${format}`;
+        const outputName = getOutputName({
+          options,
+          dir,
+          name: baseNameToUse,
+          size,
+          crop,
+          format: outputExt === '.jpg' ? 'jpeg' : outputExt.slice(1),
+          ext: outputExt.slice(1),
+          hash: source.hash || undefined,
+        });
+
+        let outputPath;
+        if (outputName) {
+          outputPath = path.join(outputDir, outputName);
+        } else if (format === 'original' && originalExt === ext) {
+          outputPath = path.join(outputDir, dir, fileNameToUse);
+        } else {
+          outputPath = path.join(outputDir, dir, `${baseNameToUse}${outputExt}`);
         }
+
+        const output = { path: outputPath, format, ...size };
+        if (crop) output.crop = crop.label;
+        outputs.push(output);
       }
-    } catch (err) {
-      results.errors.push({ file, error: err.message });
-      spinner.warn(`Error: ${file} - ${err.message}`);
     }
   }
+  return outputs;
+}
 
-  // Show results
-  if (results.errors.length > 0) {
-    spinner.warn(`Processing completed with ${results.errors.length} errors.`);
+/**
+ * Optimizes an image held in memory
+ * @param {Buffer} input - Image data (JPG, PNG, GIF, TIFF or SVG)
+ * @param {Object} [options] - Optimization options; `format` selects the output
+ *   format (avif, webp or original) and defaults to the first of `formats`
+ * @returns {Promise<Object>} - `data` Buffer with output format, dimensions and byte sizes
+ */
+async function optimizeBuffer(input, options = {}) {
+  options = withDefaults(options);
+
+  if (!Buffer.isBuffer(input)) {
+    throw new Error('Input must be a Buffer.');
+  }
+
+  const metadata = await sharp(input).metadata();
+  const ext = metadata.format === 'jpeg' ? '.jpg' : `.${metadata.format}`;
+
+  if (!isImageExtension(ext)) {
+    throw new Error(`Unsupported image type: ${metadata.format}`);
+  }
+
+  const format = options.format || resolveFormats(options)[0];
+  const orientedSize = getOrientedSize(metadata, options);
+  let encoded;
+  if (ext === SVG_EXTENSION && format === 'original') {
+    encoded = await encodeSvg(input, options);
   } else {
-    spinner.succeed('All files processed successfully.');
+    const image = await prepareOutput(createSourceLoader(input, options), { format }, ext, options);
+    encoded = usesQualitySearch(format, ext, options)
+      ? await encodeWithQualitySearch(image, format, ext, options)
+      : await applyFormat(image, format, ext, options).toBuffer({ resolveWithObject: true });
   }
+  let { data, info } = encoded;
 
-  if (results.skippedImages > 0) {
-    spinner.info(
-      `Number of images skipped because a WebP version exists: ${results.skippedImages}`,
-    );
+  // The input is returned as is when it is already smaller
+  if (
+    options.keepOriginalIfSmaller &&
+    info.size >= input.length &&
+    canKeepOriginal({ ext, ...orientedSize }, format, info, options)
+  ) {
+    data = input;
+    info = { ...info, size: input.length, quality: undefined, keptOriginal: true };
   }
 
-  return results;
+  const result = {
+    data,
+    format,
+    inputSize: input.length,
+    outputSize: info.size,
+    width: info.width,
+    height: getOutputHeight(info),
+    inputWidth: orientedSize.width,
+    inputHeight: orientedSize.height,
+    ...getQualityResult(info),
+    ...(info.keptOriginal && { keptOriginal: true }),
+  };
+  const placeholders = await getPlaceholders(input, ext, options);
+  if (placeholders) {
+    result.placeholders = placeholders;
+  }
+  return result;
 }
 
 /**
  * Processes an image in multiple sizes
- * @param {string} inputFile - Input file path
- * @param {string} outputDir - Output directory path
- * @param {string} baseName - Base file name (without extension)
+ * @param {Object[]} plannedOutputs - Outputs from planOutputs (path, format, width)
  * @param {string} ext - File extension
  * @param {Object} options - Optimization options
+ * @param {Object} original - Source `path`, `ext`, `size` and oriented `width` and `height`
  */
-async function processMultiSizeImage(
-  inputFile,
-  outputDir,
-  baseName,
-  ext,
-  options,
-  slugifiedBaseName = null,
-) {
-  const image = sharp(inputFile);
-  const metadata = await image.metadata();
-  const originalStats = await fs.stat(inputFile);
-  const originalSize = originalStats.size;
+async function processMultiSizeImage(plannedOutputs, ext, options, original) {
+  const inputFile = original.path;
+  const originalSize = original.size;
 
   // Result statistics
   const results = {
-    optimizedCount: 0,
     totalSaved: 0,
+    formats: {},
+    outputs: [],
   };
 
-  // Loop through all sizes
-  for (const size of options.resize.sizes) {
-    // Create file name with suffix
-    const suffixPattern = options.resize.suffixPattern || '-{width}';
-    const suffix = suffixPattern.replace('{width}', size);
-
-    // Use the slugified basename if provided
-    const baseNameToUse = slugifiedBaseName || baseName;
-    const newBaseName = `${baseNameToUse}${suffix}`;
-
-    let outputExt = ext;
-    if (options.webp) {
-      outputExt = '.webp';
-    }
-
-    const outputPath = path.join(outputDir, `${newBaseName}${outputExt}`);
+  // Oriented sRGB source shared by every size and format
+  const source = createSourceLoader(inputFile, options);
 
-    // Resize image
-    let resizedImage = sharp(inputFile).resize({
-      width: size,
-      height: null, // Maintain aspect ratio, only width specified
-      fit: options.resize.mode || 'cover',
-      position: 'center',
-      withoutEnlargement: true, // Do not enlarge small images
-    });
+  // Loop through all sizes and formats
+  for (const output of plannedOutputs) {
+    let info;
+    if (output.format === 'svg') {
+      // The SVG itself is written once, at its own size
+      info = await writeSvg(inputFile, output.path, options);
+    } else {
+      // Resize image
+      const resizedImage = await prepareOutput(source, output, ext, options);
 
-    // Optimize (unless only resizing)
-    if (!options.onlyResize) {
-      if (options.webp) {
-        resizedImage = resizedImage.webp({
-          quality: ext === '.png' ? options.pngQuality : options.jpgQuality,
-          lossless: options.webpLossless,
-          reductionEffort: 6,
-          nearLossless: options.webpNearLossless,
-        });
-      } else if (['.jpg', '.jpeg'].includes(ext)) {
-        resizedImage = resizedImage.jpeg({
-          quality: options.jpgQuality,
-          mozjpeg: true,
-          trellisQuantisation: true,
-          overshootDeringing: true,
-          optimizeScans: true,
-        });
-      } else if (ext === '.png') {
-        resizedImage = resizedImage.png({
-          compressionLevel: 9,
-          adaptiveFiltering: true,
-          palette: true,
-        });
+      // Optimize (unless only resizing) and save image
+      if (options.onlyResize) {
+        info = await writeAtomic(output.path, (tempFile) => resizedImage.toFile(tempFile));
+      } else {
+        info = await encodeToFile(resizedImage, output.path, output.format, ext, options);
       }
     }
+    info = await keepOriginalIfSmaller(original, output.path, output.format, info, options);
+    results.outputs.push({
+      path: output.path,
+      format: output.format,
+      width: info.width,
+      height: getOutputHeight(info),
+      size: info.size,
+      ...(output.density && { density: output.density }),
+      ...(output.crop && { crop: output.crop }),
+      ...getQualityResult(info),
+      ...(info.keptOriginal && { keptOriginal: true }),
+    });
 
-    // Save image
-    await resizedImage.toFile(outputPath);
-
-    // Calculate space saved
+    // Calculate space saved; outputs larger than the source count as negative
     if (!options.onlyResize) {
-      const optimizedStats = await fs.stat(outputPath);
-      const saved = Math.max(0, originalSize - optimizedStats.size); // At least 0
-      results.totalSaved += saved;
-      results.optimizedCount++;
+      results.totalSaved += originalSize - info.size;
+      recordFormatStats(results.formats, output.format, originalSize, info.size);
 
-      if (options.verbose) {
-        const sizeReduction = ((saved / originalSize) * 100).toFixed(2);
-        const outputSizeFormatted = formatBytes(optimizedStats.size);
-        console.log(`  → ${newBaseName}${outputExt}: ${outputSizeFormatted} (-%${sizeReduction})`);
+      if (options.verbose && !options.silent) {
+        const outputSizeFormatted = formatBytes(info.size);
+        console.log(
+          `  → ${path.basename(output.path)}: ${outputSizeFormatted} ` +
+            `(${formatChange(originalSize, info.size)})${formatOutputNote(info)}`,
+        );
       }
     }
   }
@@ -312,113 +1316,578 @@ async function processMultiSizeImage(
  * @param {string} outputFile - Output file path
  * @param {string} ext - File extension
  * @param {Object} options - Optimization options
+ * @param {string} [format] - Output format (avif, webp, original or svg)
+ * @returns {Promise<Object>} - Sharp output info (format, width, height, size)
  */
-async function optimizeImage(inputFile, outputFile, ext, options) {
-  // Load image with sharp
-  let image = sharp(inputFile);
-
-  // Resize if requested
-  if (options.resize) {
-    if (options.resize.width && options.resize.height) {
-      image = image.resize({
-        width: options.resize.width,
-        height: options.resize.height,
-        fit: options.resize.mode || 'cover',
-        position: 'center',
-      });
-    } else {
-      const resizeOptions = {};
-      if (options.resize.maxWidth) resizeOptions.width = options.resize.maxWidth;
-      if (options.resize.maxHeight) resizeOptions.height = options.resize.maxHeight;
-      resizeOptions.fit = 'inside';
-      resizeOptions.withoutEnlargement = true;
-      image = image.resize(resizeOptions);
-    }
+async function optimizeImage(inputFile, outputFile, ext, options, format = 'original') {
+  if (format === 'svg') {
+    return writeSvg(inputFile, outputFile, options);
   }
 
+  // Load image with sharp and resize if requested
+  const source = createSourceLoader(inputFile, options);
+  const image = await prepareOutput(source, { format }, ext, options);
+
   if (options.onlyResize) {
-    await image.toFile(outputFile);
-    return;
+    return writeAtomic(outputFile, (tempFile) => image.toFile(tempFile));
   }
 
-  if (['.jpg', '.jpeg'].includes(ext)) {
-    if (options.webp) {
-      image = image.webp({
-        quality: options.jpgQuality,
-        lossless: options.webpLossless,
-        reductionEffort: 6,
-        nearLossless: options.webpNearLossless,
-      });
-    } else {
-      image = image.jpeg({
-        quality: options.jpgQuality,
-        mozjpeg: true,
-        trellisQuantisation: true,
-        overshootDeringing: true,
-        optimizeScans: true,
-      });
-    }
-  } else if (ext === '.png') {
-    if (options.webp) {
-      image = image.webp({
-        quality: options.pngQuality,
-        lossless: options.webpLossless,
-        reductionEffort: 6,
-        nearLossless: options.webpNearLossless,
-      });
-    } else {
-      image = image.png({
-        compressionLevel: 9,
-        adaptiveFiltering: true,
-        palette: true,
-      });
+  return encodeToFile(image, outputFile, format, ext, options);
+}
+
+/**
+ * Checks whether the source of an output can stand in for it: the output
+ * has the format and the dimensions of the source, and no watermark
+ * @param {Object} original - Source `ext` and oriented `width` and `height`
+ * @param {string} format - Output format (avif, webp, original or svg)
+ * @param {Object} info - Output info (width, height)
+ * @param {Object} options - Optimization options
+ * @returns {boolean} - True if the source can be copied in place of the output
+ */
+function canKeepOriginal(original, format, info, options) {
+  if (format !== 'svg' && hasWatermark(options)) {
+    return false;
+  }
+  const sameFormat =
+    format === 'svg' ||
+    (format === 'original' && getOriginalExtension(original.ext) === original.ext);
+  return sameFormat && info.width === original.width && getOutputHeight(info) === original.height;
+}
+
+/**
+ * Replaces a written output with a copy of its source when the output is not
+ * smaller than the source (--keep-original-if-smaller). The copy is the
+ * source file as is, with its metadata.
+ * @param {Object} original - Source `path`, `ext`, `size` and oriented `width` and `height`
+ * @param {string} outputFile - Output file path
+ * @param {string} format - Output format
+ * @param {Object} info - Output info returned by the encoder
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Object>} - Output info; the source size and `keptOriginal` when copied
+ */
+async function keepOriginalIfSmaller(original, outputFile, format, info, options) {
+  if (
+    !options.keepOriginalIfSmaller ||
+    info.size < original.size ||
+    !canKeepOriginal(original, format, info, options)
+  ) {
+    return info;
+  }
+  await writeAtomic(outputFile, (tempFile) => fs.copy(original.path, tempFile));
+  return { ...info, size: original.size, quality: undefined, keptOriginal: true };
+}
+
+/**
+ * Encodes an image into an output format and writes it, searching the
+ * quality when a target SSIM or byte budget is set
+ * @param {Object} image - Sharp instance
+ * @param {string} outputFile - Output file path
+ * @param {string} format - Output format (avif, webp or original)
+ * @param {string} ext - Source file extension
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Object>} - Sharp output info, with `quality`, `ssim` and `targetMet`
+ *   when the quality was searched
+ */
+async function encodeToFile(image, outputFile, format, ext, options) {
+  if (!usesQualitySearch(format, ext, options)) {
+    const encoder = applyFormat(image, format, ext, options);
+    return writeAtomic(outputFile, (tempFile) => encoder.toFile(tempFile));
+  }
+
+  const { data, info } = await encodeWithQualitySearch(image, format, ext, options);
+  await writeAtomic(outputFile, (tempFile) => fs.writeFile(tempFile, data));
+  return info;
+}
+
+/**
+ * Encodes an image with the lowest quality that meets the target SSIM and/or byte budget
+ * @param {Object} image - Sharp instance
+ * @param {string} format - Output format (avif, webp or original)
+ * @param {string} ext - Source file extension
+ * @param {Object} options - Optimization options (`targetSsim`, `maxBytes`)
+ * @returns {Promise<Object>} - Encoded `data` and `info` with `quality`, `ssim` and `targetMet`
+ */
+async function encodeWithQualitySearch(image, format, ext, options) {
+  const encode = (pipeline, quality) =>
+    applyFormat(pipeline, format, ext, {
+      ...options,
+      jpgQuality: quality,
+      webpQuality: quality,
+      avifQuality: quality,
+    });
+  const result = await searchQuality(image, encode, options);
+
+  return {
+    data: result.data,
+    info: { ...result.info, quality: result.quality, ssim: result.ssim, targetMet: result.met },
+  };
+}
+
+/**
+ * Checks whether the encoder quality of an output is searched
+ * @param {string} format - Output format (avif, webp or original)
+ * @param {string} ext - Source file extension
+ * @param {Object} options - Optimization options
+ * @returns {boolean} - True for lossy outputs when a target SSIM or byte budget is set
+ */
+function usesQualitySearch(format, ext, options) {
+  if (!options.targetSsim && !options.maxBytes) {
+    return false;
+  }
+  if (format === 'webp') {
+    return !options.webpLossless;
+  }
+  if (format === 'avif') {
+    return !options.avifLossless;
+  }
+  return ['.jpg', '.jpeg'].includes(getOriginalExtension(ext));
+}
+
+/**
+ * Picks the quality search result from sharp output info
+ * @param {Object} info - Output info returned by encodeToFile
+ * @returns {Object} - `quality`, `ssim` and `targetMet`, or an empty object if not searched
+ */
+function getQualityResult(info) {
+  if (info.quality === undefined) {
+    return {};
+  }
+  return { quality: info.quality, ssim: info.ssim, targetMet: info.targetMet };
+}
+
+/**
+ * Formats the quality search result for verbose output
+ * @param {Object} output - Output with optional `quality`, `ssim` and `targetMet`
+ * @returns {string} - Text such as " [q=72, SSIM 0.9812]", or an empty string
+ */
+function formatQualityResult(output) {
+  if (output.quality === undefined) {
+    return '';
+  }
+  const missed = output.targetMet ? '' : ', target not met';
+  return ` [q=${output.quality}, SSIM ${output.ssim}${missed}]`;
+}
+
+/**
+ * Formats the notes of an output for verbose output: the quality search
+ * result, or that the source was kept
+ * @param {Object} output - Output with optional quality search result and `keptOriginal`
+ * @returns {string} - Text such as " [q=72, SSIM 0.9812]" or " (original kept)"
+ */
+function formatOutputNote(output) {
+  return output.keptOriginal ? ' (original kept)' : formatQualityResult(output);
+}
+
+/**
+ * Formats the size change of an output relative to its source
+ * @param {number} inputSize - Source size in bytes
+ * @param {number} outputSize - Output size in bytes
+ * @returns {string} - Text such as "-%42.10" for a smaller or "+%3.50" for a larger output
+ */
+function formatChange(inputSize, outputSize) {
+  const change = inputSize > 0 ? ((outputSize - inputSize) / inputSize) * 100 : 0;
+  return `${change > 0 ? '+' : '-'}%${Math.abs(change).toFixed(2)}`;
+}
+
+/**
+ * Computes the requested placeholders of an image, resized like its outputs
+ * @param {string|Buffer} input - Image file path or data
+ * @param {string} ext - Source file extension
+ * @param {Object} options - Optimization options (`placeholders`)
+ * @param {Object} [stored] - Placeholders stored in the cache by an earlier run
+ * @returns {Promise<Object|null>} - Placeholders, or null if none are requested or the
+ *   file is not an image
+ */
+async function getPlaceholders(input, ext, options, stored = null) {
+  const types = options.placeholders || [];
+  if (types.length === 0 || !(isImageExtension(ext) || ext === '.webp')) {
+    return null;
+  }
+
+  // Reuse stored placeholders when they cover every requested type
+  if (stored && types.every((type) => stored[type] !== undefined)) {
+    const placeholders = {};
+    types.forEach((type) => {
+      placeholders[type] = stored[type];
+    });
+    return placeholders;
+  }
+
+  // Copied WebP files are not resized
+  const source = createSourceLoader(input, options);
+  const image = isImageExtension(ext)
+    ? await prepareOutput(source, {}, ext, options)
+    : await source.load();
+  const formats = resolveFormats(options);
+  const lqipFormat = formats.includes('webp') || formats.includes('avif') ? 'webp' : 'jpeg';
+  return createPlaceholders(image, types, lqipFormat);
+}
+
+/**
+ * Creates a loader for the source of an image's outputs. Loaded sources are
+ * shared by every output that needs the same decoding, and cloned per output.
+ * @param {string|Buffer} input - Image file path or data
+ * @param {Object} options - Optimization options
+ * @returns {Object} - Loader with `metadata()` and `load(inputOptions)`
+ */
+function createSourceLoader(input, options) {
+  const sources = new Map();
+  let metadata = null;
+
+  return {
+    async metadata() {
+      if (!metadata) {
+        metadata = await sharp(input).metadata();
+      }
+      return metadata;
+    },
+    async load(inputOptions = {}) {
+      const key = JSON.stringify(inputOptions);
+      if (!sources.has(key)) {
+        sources.set(key, await loadImage(input, options, inputOptions));
+      }
+      return sources.get(key).clone();
+    },
+  };
+}
+
+/**
+ * Loads and resizes the source of a raster output: animated GIFs keep their
+ * frames for formats that can hold them, and SVG files are rendered at the
+ * output size rather than scaled up from their default size. Aspect-ratio
+ * outputs are cropped with the crop strategy or focal point. The watermark
+ * is stamped on the resized output.
+ * @param {Object} source - Loader returned by createSourceLoader
+ * @param {Object} output - Planned output with `format` and, for multi-size, `width` or
+ *   `height` and `crop`
+ * @param {string} ext - Source file extension
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Object>} - Sharp instance with resize and watermark applied
+ */
+async function prepareOutput(source, output, ext, options) {
+  const metadata = await source.metadata();
+  let inputOptions = {};
+  if (ext === SVG_EXTENSION) {
+    const scale = getSvgScale(metadata, output, options);
+    inputOptions = { density: Math.min(100000, Math.max(1, SVG_DENSITY * scale)) };
+  } else if (ext === '.gif' && ['webp', 'original'].includes(output.format)) {
+    inputOptions = { animated: true };
+  }
+
+  // Size of the loaded image, for crops
+  const orientedSize = getOrientedSize(metadata, options);
+  const density = inputOptions.density ? inputOptions.density / SVG_DENSITY : 1;
+  const size = {
+    width: Math.round(orientedSize.width * density),
+    height: Math.round(orientedSize.height * density),
+  };
+
+  const image = await source.load(inputOptions);
+  let resized;
+  if (output.crop) {
+    resized = cropToAspectRatio(image, size, output, ext, options);
+  } else {
+    resized =
+      output.width || output.height
+        ? resizeToSize(image, output, options)
+        : applyResize(image, size, options);
+  }
+
+  // Animations are not stamped: a composite would only cover their first frame
+  if (hasWatermark(options) && !inputOptions.animated) {
+    return applyWatermark(resized, options);
+  }
+  return resized;
+}
+
+/**
+ * Returns the scale an SVG file is rendered at for an output
+ * @param {Object} metadata - Sharp metadata of the SVG at the default density
+ * @param {Object} output - Planned output with optional `width` or `height` and `crop`
+ * @param {Object} options - Optimization options
+ * @returns {number} - Scale relative to the size declared in the SVG
+ */
+function getSvgScale(metadata, output, options) {
+  if (output.crop) {
+    const { ratio } = parseAspectRatio(output.crop);
+    return (output.width || output.height * ratio) / getCropSize(metadata, ratio).width;
+  }
+  if (output.width) {
+    return output.width / metadata.width;
+  }
+  if (output.height) {
+    return output.height / metadata.height;
+  }
+  if (options.resize && options.resize.width && options.resize.height) {
+    return Math.max(options.resize.width / metadata.width, options.resize.height / metadata.height);
+  }
+  return 1;
+}
+
+/**
+ * Minifies an SVG image, unless SVG minification is disabled or only resizing
+ * @param {string|Buffer} input - SVG file path or data
+ * @param {Object} options - Optimization options (`svgMinify`, `svgPrecision`)
+ * @returns {Promise<Object>} - SVG `data` and `info` (format, width, height, size)
+ */
+async function encodeSvg(input, options) {
+  const content = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+  const data =
+    options.svgMinify !== false && !options.onlyResize
+      ? Buffer.from(minifySvg(content.toString('utf8'), { precision: options.svgPrecision }))
+      : content;
+  const { width, height } = await sharp(content).metadata();
+  return { data, info: { format: 'svg', width, height, size: data.length } };
+}
+
+/**
+ * Writes the minified SVG output of an SVG file
+ * @param {string} inputFile - Input SVG path
+ * @param {string} outputFile - Output file path
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Object>} - Output info (format, width, height, size)
+ */
+async function writeSvg(inputFile, outputFile, options) {
+  const { data, info } = await encodeSvg(inputFile, options);
+  await writeAtomic(outputFile, (tempFile) => fs.writeFile(tempFile, data));
+  return info;
+}
+
+/**
+ * Returns the height of an output image; sharp reports the height of all
+ * frames together for animations
+ * @param {Object} info - Sharp output info
+ * @returns {number} - Height of one frame
+ */
+function getOutputHeight(info) {
+  return info.pageHeight || info.height;
+}
+
+/**
+ * Resizes a sharp pipeline to one size of a multi-size run
+ * @param {Object} image - Sharp instance
+ * @param {Object} output - Planned output with the target `width` or `height`
+ * @param {Object} options - Optimization options
+ * @returns {Object} - Sharp instance with resize applied
+ */
+function resizeToSize(image, output, options) {
+  return image.resize({
+    // Maintain aspect ratio, only one side specified
+    width: output.width || null,
+    height: output.height || null,
+    fit: options.resize.mode || 'cover',
+    position: 'center',
+    withoutEnlargement: true, // Do not enlarge small images
+  });
+}
+
+/**
+ * Crops an image to the aspect ratio of a multi-size output at its size.
+ * Raster images are not enlarged: a size beyond the largest crop gives that
+ * crop at the source resolution.
+ * @param {Object} image - Sharp instance
+ * @param {Object} size - Dimensions of the loaded image
+ * @param {Object} output - Planned output with `width` or `height` and `crop` (e.g. 16:9)
+ * @param {string} ext - Source file extension
+ * @param {Object} options - Optimization options (`cropStrategy`, `focalPoint`)
+ * @returns {Object} - Sharp instance with resize and crop applied
+ */
+function cropToAspectRatio(image, size, output, ext, options) {
+  const { ratio } = parseAspectRatio(output.crop);
+  const crop = getCropSize(size, ratio);
+  const requestedWidth = output.width || Math.round(output.height * ratio);
+  const width = ext === SVG_EXTENSION ? requestedWidth : Math.min(requestedWidth, crop.width);
+  const height = Math.max(1, Math.round(width / ratio));
+  return cropImage(image, size, { width, height }, options);
+}
+
+/**
+ * Applies single-size resize options (fixed or maximum dimensions) to a sharp
+ * pipeline. Fixed dimensions in cover mode are cropped with the crop strategy
+ * or focal point.
+ * @param {Object} image - Sharp instance
+ * @param {Object} size - Dimensions of the loaded image
+ * @param {Object} options - Optimization options
+ * @returns {Object} - Sharp instance with resize applied
+ */
+function applyResize(image, size, options) {
+  if (!options.resize || options.resize.sizes) {
+    return image;
+  }
+
+  if (options.resize.width && options.resize.height) {
+    const mode = options.resize.mode || 'cover';
+    if (mode === 'cover') {
+      const target = { width: options.resize.width, height: options.resize.height };
+      return cropImage(image, size, target, options);
     }
+    return image.resize({
+      width: options.resize.width,
+      height: options.resize.height,
+      fit: mode,
+      position: 'center',
+    });
   }
 
-  await image.toFile(outputFile);
+  const resizeOptions = {};
+  if (options.resize.maxWidth) resizeOptions.width = options.resize.maxWidth;
+  if (options.resize.maxHeight) resizeOptions.height = options.resize.maxHeight;
+  resizeOptions.fit = 'inside';
+  resizeOptions.withoutEnlargement = true;
+  return image.resize(resizeOptions);
 }
 
 /**
- * Formats bytes as a human-readable string
- * @param {number} bytes - Size in bytes
- * @returns {string} - Formatted size string
+ * Applies the encoder settings for an output format to a sharp pipeline
+ * @param {Object} image - Sharp instance
+ * @param {string} format - Output format (avif, webp or original)
+ * @param {string} ext - Source file extension
+ * @param {Object} options - Optimization options
+ * @returns {Object} - Sharp instance with encoder applied
  */
-function formatBytes(bytes, decimals = 2) {
-  if (bytes === 0) return '0 Bytes';
+function applyFormat(image, format, ext, options) {
+  // Per-format quality falls back to the quality of the source type
+  const sourceQuality = ['.png', '.gif', '.svg'].includes(ext)
+    ? options.pngQuality
+    : options.jpgQuality;
+  const originalExt = getOriginalExtension(ext);
+
+  if (format === 'avif') {
+    return image.avif({
+      quality: options.avifQuality !== undefined ? options.avifQuality : sourceQuality,
+      lossless: options.avifLossless || false,
+      effort: options.avifEffort !== undefined ? options.avifEffort : 4,
+    });
+  }
+
+  if (format === 'webp') {
+    return image.webp({
+      quality: options.webpQuality !== undefined ? options.webpQuality : sourceQuality,
+      lossless: options.webpLossless,
+      effort: options.webpEffort !== undefined ? options.webpEffort : 6, // Maximum compression effort
+      nearLossless: options.webpNearLossless,
+    });
+  }
 
-  const k = 1024;
-  const dm = decimals < 0 ? 0 : decimals;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  if (['.jpg', '.jpeg'].includes(originalExt)) {
+    // JPEG has no alpha channel; transparent TIFF areas become white
+    const opaqueImage = originalExt === ext ? image : image.flatten({ background: '#ffffff' });
+    return opaqueImage.jpeg({
+      quality: options.jpgQuality,
+      mozjpeg: true,
+      trellisQuantisation: true,
+      overshootDeringing: true,
+      optimizeScans: true,
+    });
+  }
 
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  if (originalExt === '.png') {
+    if (options.pngLossless) {
+      return image.png({ compressionLevel: 9, adaptiveFiltering: true, palette: false });
+    }
+    // Lossy palette quantization: the fewest colours that reach the quality
+    return image.png({
+      compressionLevel: 9,
+      adaptiveFiltering: true,
+      palette: true,
+      quality: options.pngQuality,
+      colours: options.pngColors !== undefined ? options.pngColors : 256,
+      dither: options.pngDither !== undefined ? options.pngDither : 1,
+      effort: options.pngEffort !== undefined ? options.pngEffort : 7,
+    });
+  }
+
+  if (originalExt === '.gif') {
+    return image.gif({ effort: 10 });
+  }
+
+  return image;
+}
+
+/**
+ * Checks whether files with an extension are processed as images
+ * @param {string} ext - Lowercase file extension
+ * @returns {boolean} - True for raster images and SVG
+ */
+function isImageExtension(ext) {
+  return IMAGE_EXTENSIONS.includes(ext) || ext === SVG_EXTENSION;
+}
 
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+/**
+ * Returns the extension of the `original` output format of a source
+ * @param {string} ext - Lowercase source file extension
+ * @returns {string} - Output extension
+ */
+function getOriginalExtension(ext) {
+  return ORIGINAL_EXTENSIONS[ext] || ext;
 }
 
 /**
- * Converts a filename to slug format
- * @param {string} filename - Original filename
- * @returns {string} - Slugified filename
+ * Resolves the list of output formats from the options
+ * @param {Object} options - Optimization options
+ * @returns {string[]} - Output formats (avif, webp, original)
  */
-function slugifyFilename(filename) {
-  // Split filename and extension
-  const lastDotIndex = filename.lastIndexOf('.');
-  const ext = lastDotIndex !== -1 ? filename.slice(lastDotIndex) : '';
-  const name = lastDotIndex !== -1 ? filename.slice(0, lastDotIndex) : filename;
+function resolveFormats(options) {
+  if (options.formats && options.formats.length > 0) {
+    return options.formats;
+  }
+  return options.webp ? ['webp'] : ['original'];
+}
 
-  // Convert to lowercase, replace spaces with hyphens, remove special chars
-  const slugName = name
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '-') // Replace spaces with hyphens
-    .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
-    .trim() // Remove leading/trailing whitespace
-    .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+/**
+ * Adds a single output to the per-format statistics
+ * @param {Object} formatStats - Per-format statistics keyed by format
+ * @param {string} format - Output format
+ * @param {number} inputSize - Source file size in bytes
+ * @param {number} outputSize - Output file size in bytes
+ */
+function recordFormatStats(formatStats, format, inputSize, outputSize) {
+  if (!formatStats[format]) {
+    formatStats[format] = { count: 0, inputSize: 0, outputSize: 0, saved: 0 };
+  }
+  formatStats[format].count++;
+  formatStats[format].inputSize += inputSize;
+  formatStats[format].outputSize += outputSize;
+  formatStats[format].saved += inputSize - outputSize;
+}
 
-  // Return slugified name with original extension
-  return slugName + ext;
+/**
+ * Merges per-format statistics into a target object
+ * @param {Object} target - Per-format statistics to merge into
+ * @param {Object} source - Per-format statistics to merge from
+ */
+function mergeFormatStats(target, source) {
+  Object.keys(source).forEach((format) => {
+    if (!target[format]) {
+      target[format] = { count: 0, inputSize: 0, outputSize: 0, saved: 0 };
+    }
+    target[format].count += source[format].count;
+    target[format].inputSize += source[format].inputSize;
+    target[format].outputSize += source[format].outputSize;
+    target[format].saved += source[format].saved;
+  });
 }
 
 module.exports = {
+  IMAGE_EXTENSIONS,
+  SKIP_REASONS,
+  formatBytes,
+  formatChange,
   processDirectory,
+  processFile,
+  createResults,
+  optimizeFile,
+  optimizeBuffer,
+  getOutputLocation,
+  getOutputPaths,
 };
+
+// Loaded on first use: these modules require this one, and may be required
+// first (webpack loads the import loader on its own)
+Object.defineProperties(module.exports, {
+  createMiddleware: { enumerable: true, get: () => require('./serve').createMiddleware },
+  rollupPlugin: { enumerable: true, get: () => require('./rollup').rollupPlugin },
+  vitePlugin: { enumerable: true, get: () => require('./rollup').vitePlugin },
+  OptiwebWebpackPlugin: { enumerable: true, get: () => require('./webpack').OptiwebWebpackPlugin },
+  generateIcons: { enumerable: true, get: () => require('./icons').generateIcons },
+});
@@ -0,0 +1,17 @@
+const path = require('path');
+
+/**
+ * Checks whether a path is a directory or inside it. Names that only start
+ * with two dots (`..hero.jpg`) are inside; `..` path segments are not.
+ * @param {string} target - Path to check
+ * @param {string} dir - Directory path
+ * @returns {boolean} - True if target is dir or inside it
+ */
+function isInside(target, dir) {
+  const relative = path.relative(path.resolve(dir), path.resolve(target));
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+module.exports = {
+  isInside,
+};
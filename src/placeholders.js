@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+
+/**
+ * Supported placeholder types for --placeholders
+ */
+const PLACEHOLDER_TYPES = ['blurhash', 'lqip', 'color'];
+
+/**
+ * Longest side of the pixels a BlurHash is computed from
+ */
+const BLURHASH_SIZE = 32;
+
+/**
+ * Longest side of the base64 preview image
+ */
+const LQIP_SIZE = 20;
+
+/**
+ * Computes low-quality placeholders of an image
+ * @param {Object} image - Sharp instance, oriented and resized like the outputs
+ * @param {string[]} types - Placeholder types (blurhash, lqip, color)
+ * @param {string} lqipFormat - Format of the preview image (webp or jpeg)
+ * @returns {Promise<Object>} - `blurhash` string, `lqip` data URI and `color` hex code
+ */
+async function createPlaceholders(image, types, lqipFormat) {
+  const placeholders = {};
+
+  if (types.includes('blurhash')) {
+    const { data, info } = await image
+      .clone()
+      .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    // More components along the longer side
+    const [componentsX, componentsY] = info.width >= info.height ? [4, 3] : [3, 4];
+    placeholders.blurhash = encode(
+      new Uint8ClampedArray(data),
+      info.width,
+      info.height,
+      componentsX,
+      componentsY,
+    );
+  }
+
+  if (types.includes('lqip')) {
+    // Blurred so the preview looks smooth when the browser scales it up
+    const preview = image.clone().resize(LQIP_SIZE, LQIP_SIZE, { fit: 'inside' }).blur(1);
+    const data =
+      lqipFormat === 'webp'
+        ? await preview.webp({ quality: 20 }).toBuffer()
+        : await preview.flatten({ background: '#ffffff' }).jpeg({ quality: 40 }).toBuffer();
+    placeholders.lqip = `data:image/${lqipFormat};base64,${data.toString('base64')}`;
+  }
+
+  if (types.includes('color')) {
+    const { data, info } = await image
+      .clone()
+      .resize(BLURHASH_SIZE * 2, BLURHASH_SIZE * 2, { fit: 'inside' })
+      .flatten({ background: '#ffffff' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const raw = { width: info.width, height: info.height, channels: info.channels };
+    const { dominant } = await sharp(data, { raw }).stats();
+    placeholders.color = `#${[dominant.r, dominant.g, dominant.b]
+      .map((value) => value.toString(16).padStart(2, '0'))
+      .join('')}`;
+  }
+
+  return placeholders;
+}
+
+/**
+ * Builds the placeholder sidecar: every image output of the run, keyed by its
+ * path relative to the output directory, with the placeholders of its source
+ * @param {Object[]} fileResults - Results returned by processFile
+ * @param {string} outputDir - Output directory path
+ * @returns {Object} - Placeholders keyed by output path
+ */
+function buildPlaceholderMap(fileResults, outputDir) {
+  const map = {};
+
+  fileResults.forEach((fileResult) => {
+    if (!fileResult.placeholders) {
+      return;
+    }
+    const outputPaths = fileResult.outputs
+      ? fileResult.outputs.map((output) => output.path)
+      : fileResult.outputPaths;
+    outputPaths.forEach((outputPath) => {
+      const key = path.relative(outputDir, outputPath).split(path.sep).join('/');
+      map[key] = { source: fileResult.file.split(path.sep).join('/'), ...fileResult.placeholders };
+    });
+  });
+
+  return map;
+}
+
+/**
+ * Writes the placeholder sidecar to a JSON file
+ * @param {string} placeholdersFile - Sidecar file path
+ * @param {Object} map - Placeholders returned by buildPlaceholderMap
+ */
+async function writePlaceholders(placeholdersFile, map) {
+  await fs.outputJson(placeholdersFile, map, { spaces: 2 });
+}
+
+module.exports = {
+  PLACEHOLDER_TYPES,
+  createPlaceholders,
+  buildPlaceholderMap,
+  writePlaceholders,
+};
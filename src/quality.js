@@ -0,0 +1,200 @@
+const sharp = require('sharp');
+
+/**
+ * Encoder quality range searched for a target
+ */
+const MIN_QUALITY = 1;
+const MAX_QUALITY = 100;
+
+/**
+ * Side of the square windows SSIM is computed over, in pixels
+ */
+const SSIM_WINDOW = 8;
+
+/**
+ * Finds the encoder quality for an image that meets the SSIM target and/or
+ * the byte budget. The lowest quality that reaches `targetSsim` is used; when
+ * that does not fit in `maxBytes`, the budget wins and the highest quality
+ * that fits is used instead.
+ * @param {Object} image - Sharp instance with every operation but the encoder applied
+ * @param {Function} encode - Called with a cloned sharp instance and a quality; returns
+ *   the instance with the encoder applied
+ * @param {Object} options - Search targets (`targetSsim`, `maxBytes`)
+ * @returns {Promise<Object>} - Encoded `data` and `info`, with the chosen `quality`,
+ *   its measured `ssim` and whether all targets were `met`
+ */
+async function searchQuality(image, encode, options) {
+  const { targetSsim, maxBytes } = options;
+
+  // Reference pixels the encoded candidates are compared against
+  const reference = await toLuma(image.clone());
+  const candidates = new Map();
+
+  const evaluate = async (quality) => {
+    if (!candidates.has(quality)) {
+      const { data, info } = await encode(image.clone(), quality).toBuffer({
+        resolveWithObject: true,
+      });
+      candidates.set(quality, { data, info, quality, ssim: null });
+    }
+    return candidates.get(quality);
+  };
+
+  const measure = async (quality) => {
+    const candidate = await evaluate(quality);
+    if (candidate.ssim === null) {
+      // All frames of an animation are compared
+      candidate.ssim = computeSsim(reference, await toLuma(sharp(candidate.data, { pages: -1 })));
+    }
+    return candidate;
+  };
+
+  let chosen = null;
+  let met = true;
+
+  if (targetSsim) {
+    // Lowest quality whose SSIM reaches the target
+    const quality = await findLowest(async (q) => (await measure(q)).ssim >= targetSsim);
+    if (quality === null) {
+      chosen = await measure(MAX_QUALITY);
+      met = false;
+    } else {
+      chosen = await measure(quality);
+    }
+  }
+
+  if (maxBytes && (!chosen || chosen.info.size > maxBytes)) {
+    // Highest quality that fits in the byte budget
+    const quality = await findHighest(async (q) => (await evaluate(q)).info.size <= maxBytes);
+    chosen = await measure(quality === null ? MIN_QUALITY : quality);
+    met = quality !== null && !targetSsim;
+  }
+
+  return {
+    data: chosen.data,
+    info: chosen.info,
+    quality: chosen.quality,
+    ssim: Number(chosen.ssim.toFixed(4)),
+    met,
+  };
+}
+
+/**
+ * Binary-searches the lowest quality for which a check passes, assuming the
+ * check passes for every quality above it
+ * @param {Function} check - Async predicate called with a quality
+ * @returns {Promise<number|null>} - Lowest passing quality, or null if none passes
+ */
+async function findLowest(check) {
+  let low = MIN_QUALITY;
+  let high = MAX_QUALITY;
+  let found = null;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (await check(mid)) {
+      found = mid;
+      high = mid - 1;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Binary-searches the highest quality for which a check passes, assuming the
+ * check passes for every quality below it
+ * @param {Function} check - Async predicate called with a quality
+ * @returns {Promise<number|null>} - Highest passing quality, or null if none passes
+ */
+async function findHighest(check) {
+  let low = MIN_QUALITY;
+  let high = MAX_QUALITY;
+  let found = null;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (await check(mid)) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Decodes an image to raw 8-bit luma pixels
+ * @param {Object} image - Sharp instance
+ * @returns {Promise<Object>} - Raw `data` with `width` and `height`
+ */
+async function toLuma(image) {
+  const { data, info } = await image
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+/**
+ * Computes the mean structural similarity (SSIM) of two luma images over
+ * non-overlapping windows
+ * @param {Object} a - Reference luma image
+ * @param {Object} b - Compared luma image of the same size
+ * @returns {number} - SSIM between 0 and 1 (1 for identical images)
+ */
+function computeSsim(a, b) {
+  if (a.width !== b.width || a.height !== b.height) {
+    throw new Error('Cannot compare images of different sizes.');
+  }
+
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  let total = 0;
+  let windows = 0;
+
+  for (let y = 0; y < a.height; y += SSIM_WINDOW) {
+    for (let x = 0; x < a.width; x += SSIM_WINDOW) {
+      const windowHeight = Math.min(SSIM_WINDOW, a.height - y);
+      const windowWidth = Math.min(SSIM_WINDOW, a.width - x);
+      const count = windowWidth * windowHeight;
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+
+      for (let wy = 0; wy < windowHeight; wy++) {
+        for (let wx = 0; wx < windowWidth; wx++) {
+          const offset = (y + wy) * a.width + (x + wx);
+          const pixelA = a.data[offset * a.channels];
+          const pixelB = b.data[offset * b.channels];
+          sumA += pixelA;
+          sumB += pixelB;
+          sumAA += pixelA * pixelA;
+          sumBB += pixelB * pixelB;
+          sumAB += pixelA * pixelB;
+        }
+      }
+
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varianceA = sumAA / count - meanA * meanA;
+      const varianceB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+
+      total +=
+        ((2 * meanA * meanB + c1) * (2 * covariance + c2)) /
+        ((meanA * meanA + meanB * meanB + c1) * (varianceA + varianceB + c2));
+      windows++;
+    }
+  }
+
+  return total / windows;
+}
+
+module.exports = {
+  searchQuality,
+  computeSsim,
+};
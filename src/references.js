@@ -0,0 +1,218 @@
+const path = require('path');
+
+/**
+ * Text file extensions whose asset references can be rewritten
+ */
+const REFERENCE_EXTENSIONS = ['.html', '.htm', '.css', '.md', '.markdown', '.json'];
+
+/**
+ * Extensions a JSON string must have to be treated as an asset reference
+ */
+const JSON_ASSET_EXTENSIONS = [
+  '.jpg',
+  '.jpeg',
+  '.png',
+  '.webp',
+  '.avif',
+  '.gif',
+  '.tif',
+  '.tiff',
+  '.svg',
+];
+
+/**
+ * Rewrites the asset references in a text file so they point at the output paths
+ * @param {string} content - File content
+ * @param {string} file - File path relative to the input directory
+ * @param {Function} resolveTarget - Called with a source path relative to the input
+ *   directory; returns the output path relative to the output directory, or null
+ * @param {string} [outputFile] - Output path of the file relative to the output directory,
+ *   if its folder is renamed (default: `file`)
+ * @returns {Object} - New `content`, number of `rewritten` references and `unresolved` references
+ */
+function rewriteReferences(content, file, resolveTarget, outputFile = file) {
+  const ext = path.extname(file).toLowerCase();
+  const fromDir = toPosixPath(path.dirname(file));
+  const toDir = toPosixPath(path.dirname(outputFile));
+  const result = { content, rewritten: 0, unresolved: [] };
+
+  const rewriteUrl = (url, rootFallback = false) => {
+    const rewrittenUrl = rewriteUrlValue(url, { fromDir, toDir }, resolveTarget, rootFallback);
+    if (rewrittenUrl === null) {
+      result.unresolved.push(url);
+      return url;
+    }
+    if (rewrittenUrl !== url) {
+      result.rewritten++;
+    }
+    return rewrittenUrl;
+  };
+
+  if (ext === '.json') {
+    // Only strings that look like image paths; tried relative to the file, then to the root
+    result.content = content.replace(/"((?:[^"\\]|\\.)*)"/g, (match, raw) => {
+      const value = parseJsonString(raw);
+      if (value === null || !JSON_ASSET_EXTENSIONS.includes(getUrlExtension(value))) {
+        return match;
+      }
+      const rewrittenValue = rewriteUrl(value, true);
+      return rewrittenValue === value ? match : JSON.stringify(rewrittenValue);
+    });
+    return result;
+  }
+
+  let rewritten = content;
+
+  if (['.html', '.htm', '.md', '.markdown'].includes(ext)) {
+    // src and href attributes, quoted or unquoted
+    rewritten = rewritten.replace(
+      /(\s(?:src|href)\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi,
+      (match, prefix, doubleQuoted, singleQuoted, unquoted) => {
+        if (doubleQuoted !== undefined) return `${prefix}"${rewriteUrl(doubleQuoted)}"`;
+        if (singleQuoted !== undefined) return `${prefix}'${rewriteUrl(singleQuoted)}'`;
+        return `${prefix}${rewriteUrl(unquoted)}`;
+      },
+    );
+
+    // srcset attributes: comma-separated "url descriptor" candidates
+    rewritten = rewritten.replace(
+      /(\ssrcset\s*=\s*)(["'])(.*?)\2/gi,
+      (match, prefix, quote, srcset) => {
+        const candidates = srcset.split(',').map((candidate) => {
+          const [, leading, url, rest] = candidate.match(/^(\s*)(\S*)(.*)$/s);
+          return url ? `${leading}${rewriteUrl(url)}${rest}` : candidate;
+        });
+        return `${prefix}${quote}${candidates.join(',')}${quote}`;
+      },
+    );
+  }
+
+  if (['.html', '.htm', '.css'].includes(ext)) {
+    // CSS url() values, in stylesheets and in <style> elements or style attributes
+    rewritten = rewritten.replace(
+      /(url\(\s*)(["']?)([^"')]+?)\2(\s*\))/gi,
+      (match, open, quote, url, close) => `${open}${quote}${rewriteUrl(url)}${quote}${close}`,
+    );
+  }
+
+  if (['.md', '.markdown'].includes(ext)) {
+    // Markdown images: ![alt](url "title") and ![alt](<url with spaces>)
+    rewritten = rewritten.replace(
+      /(!\[[^\]]*\]\(\s*)(?:<([^>]*)>|([^)\s]+))/g,
+      (match, prefix, bracketed, plain) => {
+        if (bracketed !== undefined) return `${prefix}<${rewriteUrl(bracketed)}>`;
+        return `${prefix}${rewriteUrl(plain)}`;
+      },
+    );
+  }
+
+  result.content = rewritten;
+  return result;
+}
+
+/**
+ * Rewrites a single reference
+ * @param {string} url - Reference as written in the file
+ * @param {Object} dirs - Directory of the referring file, relative to the input directory
+ *   (`fromDir`) and of its output, relative to the output directory (`toDir`)
+ * @param {Function} resolveTarget - Maps a source path to its output path, or null
+ * @param {boolean} rootFallback - Also try the path relative to the input directory
+ * @returns {string|null} - Rewritten reference (unchanged if it is not a local file), or
+ *   null if it could not be resolved
+ */
+function rewriteUrlValue(url, dirs, resolveTarget, rootFallback) {
+  const trimmed = url.trim();
+
+  // External URLs, data URIs, fragments and protocol-relative URLs are left alone
+  if (trimmed === '' || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(trimmed)) {
+    return url;
+  }
+
+  // Keep the query string and fragment as they are
+  const suffixIndex = trimmed.search(/[?#]/);
+  const urlPath = suffixIndex === -1 ? trimmed : trimmed.slice(0, suffixIndex);
+  const suffix = suffixIndex === -1 ? '' : trimmed.slice(suffixIndex);
+
+  // Directory links and extensionless routes are not files we can check
+  if (path.posix.extname(urlPath) === '') {
+    return url;
+  }
+
+  let decodedPath = urlPath;
+  try {
+    decodedPath = decodeURI(urlPath);
+  } catch (err) {
+    // Malformed escapes are used as written
+  }
+
+  // Candidate source paths, each with the directory the new path is relative to
+  const isRootRelative = decodedPath.startsWith('/');
+  const candidates = isRootRelative
+    ? [{ sourcePath: decodedPath.slice(1), baseDir: '.' }]
+    : [{ sourcePath: path.posix.join(dirs.fromDir, decodedPath), baseDir: dirs.toDir }].concat(
+        rootFallback ? [{ sourcePath: decodedPath, baseDir: '.' }] : [],
+      );
+
+  for (const { sourcePath, baseDir } of candidates) {
+    const normalizedPath = path.posix.normalize(sourcePath);
+    if (normalizedPath.startsWith('../')) {
+      continue;
+    }
+
+    const target = resolveTarget(normalizedPath);
+    if (target === null) {
+      continue;
+    }
+
+    // Root-relative references stay root-relative; others stay relative to their base
+    let newPath = isRootRelative ? `/${target}` : path.posix.relative(baseDir, target);
+    if (decodedPath.startsWith('./') && !newPath.startsWith('.')) {
+      newPath = `./${newPath}`;
+    }
+
+    // Encode the new path when the original was encoded or it contains spaces
+    if (decodedPath !== urlPath || /\s/.test(newPath)) {
+      newPath = encodeURI(newPath);
+    }
+
+    return newPath === urlPath ? url : `${newPath}${suffix}`;
+  }
+
+  return null;
+}
+
+/**
+ * Returns the lowercase file extension of a URL, ignoring the query string and fragment
+ * @param {string} url - URL or path
+ * @returns {string} - Extension including the dot, or an empty string
+ */
+function getUrlExtension(url) {
+  return path.posix.extname(url.split(/[?#]/)[0]).toLowerCase();
+}
+
+/**
+ * Parses the raw content of a JSON string literal
+ * @param {string} raw - String content without the surrounding quotes
+ * @returns {string|null} - String value, or null if it is not valid JSON
+ */
+function parseJsonString(raw) {
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Converts a path to forward slashes
+ * @param {string} filePath - File path
+ * @returns {string} - Path with forward slashes
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  REFERENCE_EXTENSIONS,
+  rewriteReferences,
+};
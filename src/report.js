@@ -0,0 +1,321 @@
+const fs = require('fs-extra');
+const path = require('path');
+const packageJson = require('../package.json');
+const { describeWebpConflict } = require('./webp');
+const { formatBytes } = require('./format');
+
+/**
+ * Supported report formats for --report
+ */
+const REPORT_FORMATS = ['json', 'ndjson', 'html'];
+
+/**
+ * Result statistics copied into the report summary
+ */
+const SUMMARY_KEYS = [
+  'totalFiles',
+  'optimizedImages',
+  'resizedImages',
+  'multiSizeImages',
+  'copiedFiles',
+  'skippedImages',
+  'cachedFiles',
+  'ignoredFiles',
+  'totalSize',
+  'totalSaved',
+  'formats',
+];
+
+/**
+ * Returns the report file path, defaulting to optiweb-report.<format> in the working directory
+ * @param {Object} options - Options with `report` and optional `reportFile`
+ * @returns {string} - Absolute report file path
+ */
+function getReportFile(options) {
+  return path.resolve(options.reportFile || `optiweb-report.${options.report}`);
+}
+
+/**
+ * Creates a writer that streams run events to an NDJSON file, one JSON object per line
+ * @param {string} reportFile - Report file path
+ * @returns {Object} - Writer with `write(event, payload)` and `close()`
+ */
+function createNdjsonWriter(reportFile) {
+  fs.ensureDirSync(path.dirname(reportFile));
+  const stream = fs.createWriteStream(reportFile);
+
+  // A report that cannot be written (a folder path, a full disk) fails the run
+  // when the writer is closed, instead of crashing it mid-run
+  let streamError = null;
+  stream.on('error', (error) => {
+    streamError = new Error(`Cannot write the report ${reportFile}: ${error.message}`);
+  });
+
+  return {
+    write(event, payload) {
+      if (streamError) return;
+      const line = { event, time: new Date().toISOString(), ...payload };
+      stream.write(`${JSON.stringify(line, serializeValue)}\n`);
+    },
+    close() {
+      if (streamError) return Promise.reject(streamError);
+      return new Promise((resolve, reject) => {
+        stream.once('error', () => reject(streamError));
+        stream.end(resolve);
+      });
+    },
+  };
+}
+
+/**
+ * Builds the JSON report of a run
+ * @param {Object[]} fileResults - Results returned by processFile
+ * @param {string[]} ignoredFiles - Files skipped by the ignore patterns
+ * @param {Object} results - Result statistics of the run
+ * @param {Object} run - Run details (`inputDir`, `outputDir`, `startedAt`, `duration`)
+ * @returns {Object} - Report with `summary` and per-file `files` entries
+ */
+function buildReport(fileResults, ignoredFiles, results, run) {
+  const files = fileResults.map((fileResult) => createReportEntry(fileResult, run));
+  ignoredFiles.forEach((file) => {
+    files.push({ file, source: path.join(run.inputDir, file), action: 'ignored' });
+  });
+
+  return {
+    generator: `optiweb ${packageJson.version}`,
+    startedAt: run.startedAt,
+    duration: run.duration,
+    inputDir: run.inputDir,
+    outputDir: run.outputDir,
+    summary: createReportSummary(results),
+    webpConflicts: results.webpConflicts,
+    files,
+  };
+}
+
+/**
+ * Creates the summary of a run from its result statistics
+ * @param {Object} results - Result statistics of the run
+ * @returns {Object} - Summary counts, byte totals and per-format statistics
+ */
+function createReportSummary(results) {
+  const summary = {};
+  SUMMARY_KEYS.forEach((key) => {
+    summary[key] = results[key];
+  });
+  summary.errors = results.errors.length;
+  summary.overBudget = results.overBudget.length;
+  summary.webpConflicts = results.webpConflicts.length;
+  summary.pruned = results.pruned.length;
+  return summary;
+}
+
+/**
+ * Creates the report entry of a single file
+ * @param {Object} fileResult - Result returned by processFile
+ * @param {Object} run - Run details (`inputDir`, `outputDir`)
+ * @returns {Object} - Report entry
+ */
+function createReportEntry(fileResult, run) {
+  const entry = {
+    file: fileResult.file,
+    source: path.join(run.inputDir, fileResult.file),
+    action: fileResult.action,
+  };
+
+  if (fileResult.operation) entry.operation = fileResult.operation;
+  if (fileResult.reason) entry.reason = fileResult.reason;
+  if (fileResult.inputSize !== undefined) entry.inputSize = fileResult.inputSize;
+  if (fileResult.width !== undefined) {
+    entry.width = fileResult.width;
+    entry.height = fileResult.height;
+  }
+
+  if (fileResult.outputs) {
+    entry.outputs = fileResult.outputs.map((output) => {
+      const outputEntry = { path: output.path };
+      ['format', 'width', 'height', 'crop', 'size', 'quality', 'ssim', 'keptOriginal'].forEach(
+        (key) => {
+          if (output[key] !== undefined) outputEntry[key] = output[key];
+        },
+      );
+      return outputEntry;
+    });
+    if (entry.outputs.every((output) => output.size !== undefined)) {
+      entry.outputSize = entry.outputs.reduce((sum, output) => sum + output.size, 0);
+    }
+  } else if (fileResult.outputPaths) {
+    entry.outputs = fileResult.outputPaths.map((outputPath) => ({ path: outputPath }));
+  }
+
+  if (fileResult.error) entry.error = fileResult.error.message;
+  entry.duration = fileResult.duration;
+
+  return entry;
+}
+
+/**
+ * Writes a JSON or HTML report
+ * @param {string} reportFile - Report file path
+ * @param {string} format - Report format (json or html)
+ * @param {Object} report - Report returned by buildReport
+ */
+async function writeReport(reportFile, format, report) {
+  if (format === 'html') {
+    await fs.outputFile(reportFile, createHtmlReport(report, path.dirname(reportFile)));
+  } else {
+    await fs.outputJson(reportFile, report, { spaces: 2 });
+  }
+}
+
+/**
+ * Creates a self-contained HTML report with a sortable table and before/after thumbnails
+ * @param {Object} report - Report returned by buildReport
+ * @param {string} reportDir - Directory of the report file; thumbnails link relative to it
+ * @returns {string} - HTML document
+ */
+function createHtmlReport(report, reportDir) {
+  const link = (filePath) =>
+    encodeURI(path.relative(reportDir, filePath).split(path.sep).join('/')).replace(/#/g, '%23');
+  const thumbnail = (filePath) =>
+    `<a href="${escapeHtml(link(filePath))}"><img src="${escapeHtml(link(filePath))}" ` +
+    'loading="lazy" alt=""></a>';
+  const cell = (html, value) => `<td data-value="${escapeHtml(String(value))}">${html}</td>`;
+  const textCell = (text) => cell(escapeHtml(text), text);
+
+  // One row per image output, one row for every other file
+  const rows = [];
+  report.files.forEach((entry) => {
+    const isImage = entry.action === 'optimized';
+    const outputs = isImage ? entry.outputs : [null];
+
+    outputs.forEach((output) => {
+      const before = entry.inputSize;
+      const after = output ? output.size : entry.outputSize;
+      const change = before && after !== undefined ? ((after - before) / before) * 100 : null;
+      const dimensions = output
+        ? `${entry.width}×${entry.height} → ${output.width}×${output.height}`
+        : '';
+      const details = entry.error || entry.reason || '';
+      let quality = output && output.quality !== undefined ? `q=${output.quality}` : '';
+      if (output && output.keptOriginal) quality = 'original kept';
+
+      rows.push(
+        `<tr class="${entry.action}">` +
+          cell(isImage ? thumbnail(entry.source) : '', '') +
+          cell(output ? thumbnail(output.path) : '', '') +
+          textCell(entry.file) +
+          textCell(entry.action) +
+          textCell(output ? output.format : '') +
+          cell(escapeHtml(dimensions), output ? output.width * output.height : 0) +
+          cell(before !== undefined ? formatBytes(before) : '', before || 0) +
+          cell(after !== undefined ? formatBytes(after) : '', after || 0) +
+          cell(change !== null ? `${change.toFixed(1)}%` : '', change !== null ? change : 0) +
+          textCell([quality, details].filter(Boolean).join(' ')) +
+          cell(entry.duration !== undefined ? `${entry.duration} ms` : '', entry.duration || 0) +
+          '</tr>',
+      );
+    });
+  });
+
+  const { summary } = report;
+  const conflicts = (report.webpConflicts || []).map(
+    (conflict) => `<li>${escapeHtml(describeWebpConflict(conflict))}</li>`,
+  );
+  const headers = [
+    'Before',
+    'After',
+    'File',
+    'Action',
+    'Format',
+    'Dimensions',
+    'Input',
+    'Output',
+    'Change',
+    'Details',
+    'Time',
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Optiweb report</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: middle; }
+  th { cursor: pointer; background: #f5f5f5; position: sticky; top: 0; user-select: none; }
+  th.asc::after { content: ' ▲'; } th.desc::after { content: ' ▼'; }
+  img { max-width: 160px; max-height: 120px; display: block; }
+  tr.error td { color: #b00020; } tr.skipped td, tr.ignored td { color: #888; }
+</style>
+</head>
+<body>
+<h1>Optiweb report</h1>
+<p>${escapeHtml(report.generator)} · ${escapeHtml(report.startedAt)} · ${report.duration} ms<br>
+${escapeHtml(report.inputDir)} → ${escapeHtml(report.outputDir)}</p>
+<p>${summary.totalFiles} files · ${summary.optimizedImages} optimized images ·
+${summary.copiedFiles} copied · ${summary.skippedImages + summary.cachedFiles} skipped ·
+${summary.ignoredFiles} ignored · ${summary.errors} errors · saved ${formatBytes(summary.totalSaved)}</p>
+${conflicts.length > 0 ? `<p>WebP conflicts:</p>\n<ul>\n${conflicts.join('\n')}\n</ul>` : ''}
+<table>
+<thead><tr>${headers.map((header) => `<th>${header}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<script>
+document.querySelectorAll('th').forEach(function (th, column) {
+  th.addEventListener('click', function () {
+    var ascending = !th.classList.contains('asc');
+    document.querySelectorAll('th').forEach(function (other) { other.className = ''; });
+    th.className = ascending ? 'asc' : 'desc';
+    var tbody = document.querySelector('tbody');
+    var rows = Array.prototype.slice.call(tbody.rows);
+    rows.sort(function (a, b) {
+      var x = a.cells[column].dataset.value, y = b.cells[column].dataset.value;
+      var result = isNaN(x) || isNaN(y) || x === '' || y === '' ? x.localeCompare(y) : x - y;
+      return ascending ? result : -result;
+    });
+    rows.forEach(function (row) { tbody.appendChild(row); });
+  });
+});
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Escapes text for use in HTML content and double-quoted attributes
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * JSON.stringify replacer that serializes errors as their message
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} - Value to serialize
+ */
+function serializeValue(key, value) {
+  return value instanceof Error ? { message: value.message } : value;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  getReportFile,
+  createNdjsonWriter,
+  buildReport,
+  createReportSummary,
+  writeReport,
+  escapeHtml,
+};
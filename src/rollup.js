@@ -0,0 +1,140 @@
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  IMPORT_QUERY,
+  isImageAsset,
+  optimizeAssets,
+  parseImageImport,
+  createImageVariants,
+  createImageModule,
+} = require('./bundler');
+
+/**
+ * Creates a Rollup plugin that optimizes the images of a bundle and turns
+ * image imports with `sizes`, `format` or `quality` query parameters
+ * (`import hero from './hero.jpg?sizes=400,800&format=webp'`) into srcset
+ * metadata. Imported images are encoded once and kept in the cache folder;
+ * image assets are optimized with the options of processDirectory, with the
+ * extra formats and sizes written next to them.
+ * @param {Object} [options] - Optimization options, plus `cacheDir` (defaults to
+ *   node_modules/.cache/optiweb)
+ * @returns {Object} - Rollup plugin
+ */
+function rollupPlugin(options = {}) {
+  return createPlugin(options, { emitImports: () => true });
+}
+
+/**
+ * Creates a Vite plugin that works like rollupPlugin. The dev server serves
+ * imported images from the cache folder; builds emit them as assets.
+ * @param {Object} [options] - Options of rollupPlugin
+ * @returns {Object} - Vite plugin
+ */
+function vitePlugin(options = {}) {
+  let command = 'build';
+  const plugin = createPlugin(options, { emitImports: () => command === 'build' });
+  return {
+    ...plugin,
+    enforce: 'pre',
+    configResolved(config) {
+      command = config.command;
+    },
+  };
+}
+
+/**
+ * Creates the hooks shared by the Rollup and Vite plugins
+ * @param {Object} options - Plugin options
+ * @param {Object} mode - `emitImports` returns false when imported images are served from
+ *   the cache folder instead of emitted
+ * @returns {Object} - Plugin hooks
+ */
+function createPlugin(options, mode) {
+  // Build assets are often optimized already; a larger output must not replace them
+  const pluginOptions = { keepOriginalIfSmaller: true, ...options };
+  const importReferences = new Set();
+
+  return {
+    name: 'optiweb',
+
+    buildStart() {
+      // Reference IDs are only valid in the build that emitted them (watch mode rebuilds)
+      importReferences.clear();
+    },
+
+    async resolveId(source, importer, resolveOptions) {
+      const queryIndex = source.indexOf('?');
+      if (queryIndex === -1 || !IMPORT_QUERY.test(source.slice(queryIndex))) {
+        return null;
+      }
+      const resolved = await this.resolve(source.slice(0, queryIndex), importer, {
+        ...resolveOptions,
+        skipSelf: true,
+      });
+      return resolved ? `${resolved.id}${source.slice(queryIndex)}` : null;
+    },
+
+    async load(id) {
+      const request = parseImageImport(id);
+      if (!request) {
+        return null;
+      }
+      this.addWatchFile(request.file);
+
+      const variants = await createImageVariants(request, pluginOptions);
+      const urls = [];
+      for (const output of variants.outputs) {
+        if (!mode.emitImports()) {
+          urls.push(JSON.stringify(getDevServerUrl(output.path)));
+          continue;
+        }
+        const referenceId = this.emitFile({
+          type: 'asset',
+          name: path.basename(output.path),
+          source: await fs.readFile(output.path),
+        });
+        importReferences.add(referenceId);
+        urls.push(`import.meta.ROLLUP_FILE_URL_${referenceId}`);
+      }
+      return createImageModule(variants, urls);
+    },
+
+    async generateBundle(outputOptions, bundle) {
+      // Images of srcset imports are optimized already
+      const imported = new Set([...importReferences].map((id) => this.getFileName(id)));
+      const assets = Object.values(bundle)
+        .filter((file) => file.type === 'asset' && isImageAsset(file.fileName))
+        .filter((file) => !imported.has(file.fileName))
+        .map((file) => ({ fileName: file.fileName, source: file.source }));
+      if (assets.length === 0) {
+        return;
+      }
+
+      const scope = path.resolve(outputOptions.dir || path.dirname(outputOptions.file || '.'));
+      const { updated, emitted } = await optimizeAssets(assets, pluginOptions, scope);
+      updated.forEach((source, fileName) => {
+        bundle[fileName].source = source;
+      });
+      emitted
+        .filter((asset) => !bundle[asset.fileName])
+        .forEach((asset) => {
+          this.emitFile({ type: 'asset', fileName: asset.fileName, source: asset.source });
+        });
+    },
+  };
+}
+
+/**
+ * Returns the URL of a file outside the project on the Vite dev server
+ * @param {string} file - Absolute file path
+ * @returns {string} - /@fs URL
+ */
+function getDevServerUrl(file) {
+  const posixPath = file.split(path.sep).join('/');
+  return `/@fs${posixPath.startsWith('/') ? '' : '/'}${posixPath}`;
+}
+
+module.exports = {
+  rollupPlugin,
+  vitePlugin,
+};
@@ -0,0 +1,399 @@
+const fs = require('fs-extra');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const glob = require('glob');
+const chalk = require('chalk');
+const micromatch = require('micromatch');
+const { IMAGE_EXTENSIONS, optimizeBuffer } = require('./optiweb');
+const { getOptionsFingerprint } = require('./cache');
+const { getFileOptions } = require('./config');
+const { withDefaults, resolveServeOptions } = require('./options');
+const { escapeHtml } = require('./report');
+const { isInside } = require('./paths');
+const { writeAtomic } = require('./atomic');
+
+/**
+ * Source extensions served as images; SVG files are served minified
+ */
+const SERVED_EXTENSIONS = [...IMAGE_EXTENSIONS, '.svg'];
+
+/**
+ * Formats negotiated when the options do not list any, most preferred first
+ */
+const DEFAULT_SERVED_FORMATS = ['avif', 'webp', 'original'];
+
+/**
+ * Content types of the modern formats, matched against the Accept header
+ */
+const FORMAT_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+
+/**
+ * Content types of the `original` output of each source extension
+ */
+const ORIGINAL_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.tif': 'image/jpeg',
+  '.tiff': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+};
+
+/**
+ * Creates a Connect/Express-compatible middleware that serves the images of a
+ * folder optimized on request. The format is negotiated from the Accept
+ * header, `?w=` picks one of the allowed widths and `?q=` the quality (1-100).
+ * Encoded images are kept in an on-disk cache keyed by the source, its
+ * modification time and the options, so each variant is encoded once.
+ * Requests for other files are passed on to `next`.
+ * @param {string} inputDir - Folder of the source images
+ * @param {Object} [options] - Optimization options, plus `widths`, `cacheDir` and `maxAge`
+ *   (seconds) of resolveServeOptions
+ * @returns {Function} - Middleware `(req, res, next)`
+ * @throws {Error} - If a server option is invalid
+ */
+function createMiddleware(inputDir, options = {}) {
+  const context = {
+    inputDir: path.resolve(inputDir),
+    options: withDefaults(options),
+    ...resolveServeOptions(options),
+    pending: new Map(),
+  };
+
+  return function optiwebMiddleware(req, res, next) {
+    serveImage(req, res, context)
+      .then((served) => {
+        if (!served) next();
+      })
+      .catch(next);
+  };
+}
+
+/**
+ * Answers a request for an image of the input folder
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} context - Middleware context (inputDir, options, widths, cacheDir, maxAge)
+ * @returns {Promise<boolean>} - False if the request is not for an image of the folder
+ */
+async function serveImage(req, res, context) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  let file;
+  try {
+    file = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+  } catch (err) {
+    return false; // Malformed escape sequences are not image paths
+  }
+  const inputFile = path.resolve(context.inputDir, file);
+  const ext = path.extname(inputFile).toLowerCase();
+  if (!isInside(inputFile, context.inputDir) || !SERVED_EXTENSIONS.includes(ext)) {
+    return false;
+  }
+  // Ignored files are not listed on the index page and not served either
+  const relativeFile = path.relative(context.inputDir, inputFile).split(path.sep).join('/');
+  if (isIgnored(relativeFile, context.options.ignorePatterns)) {
+    return false;
+  }
+  const stats = await fs.stat(inputFile).catch(() => null);
+  if (!stats || !stats.isFile()) {
+    return false;
+  }
+
+  const query = parseImageQuery(url.searchParams, context.widths);
+  if (query.error) {
+    sendText(res, 400, query.error);
+    return true;
+  }
+
+  const fileOptions = getFileOptions(relativeFile, context.options);
+  // Vector images stay SVG for every client, so only raster responses vary by Accept
+  const negotiated =
+    ext !== '.svg' && getServedFormats(fileOptions.formats).some((f) => FORMAT_TYPES[f]);
+  const format = negotiated ? negotiateFormat(req.headers.accept, fileOptions.formats) : 'original';
+  const key = crypto
+    .createHash('sha1')
+    .update(
+      JSON.stringify([
+        relativeFile,
+        stats.size,
+        stats.mtimeMs,
+        format,
+        query.width,
+        query.quality,
+        getOptionsFingerprint(fileOptions),
+      ]),
+    )
+    .digest('hex');
+  const etag = `"${key}"`;
+
+  if (negotiated) {
+    res.setHeader('Vary', 'Accept');
+  }
+  res.setHeader('Cache-Control', `public, max-age=${context.maxAge}`);
+  res.setHeader('ETag', etag);
+  if (req.headers['if-none-match'] === etag) {
+    res.statusCode = 304;
+    res.end();
+    return true;
+  }
+
+  const cacheExt = FORMAT_TYPES[format] ? `.${format}` : ext;
+  const cacheFile = path.join(context.cacheDir, `${key}${cacheExt}`);
+  if (!(await fs.pathExists(cacheFile))) {
+    // Concurrent requests for the same variant share one encode
+    if (!context.pending.has(key)) {
+      const options = getRequestOptions(fileOptions, format, query);
+      context.pending.set(
+        key,
+        encodeToCache(inputFile, cacheFile, options).finally(() => context.pending.delete(key)),
+      );
+    }
+    await context.pending.get(key);
+  }
+
+  const { size } = await fs.stat(cacheFile);
+  res.statusCode = 200;
+  res.setHeader('Content-Type', FORMAT_TYPES[format] || ORIGINAL_TYPES[ext]);
+  res.setHeader('Content-Length', size);
+  if (req.method === 'HEAD') {
+    res.end();
+  } else {
+    fs.createReadStream(cacheFile).pipe(res);
+  }
+  return true;
+}
+
+/**
+ * Reads the width and quality of an image request
+ * @param {URLSearchParams} params - Query parameters (`w`, `q`)
+ * @param {number[]} widths - Allowed widths
+ * @returns {Object} - `width` and `quality` (null when not given), or an `error` message
+ */
+function parseImageQuery(params, widths) {
+  const query = { width: null, quality: null };
+
+  if (params.has('w')) {
+    const width = Number(params.get('w'));
+    if (!widths.includes(width)) {
+      return {
+        error:
+          widths.length > 0
+            ? `Width ${params.get('w')} is not allowed. Allowed widths: ${widths.join(', ')}`
+            : 'Resizing is not enabled; allow widths with --widths.',
+      };
+    }
+    query.width = width;
+  }
+
+  if (params.has('q')) {
+    const quality = Number(params.get('q'));
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      return { error: 'Quality must be between 1-100.' };
+    }
+    query.quality = quality;
+  }
+
+  return query;
+}
+
+/**
+ * Picks the first output format the client accepts
+ * @param {string} [accept] - Accept header of the request
+ * @param {string[]} [formats] - Output formats, most preferred first
+ * @returns {string} - avif, webp or original; original is the fallback for every client
+ */
+function negotiateFormat(accept = '', formats) {
+  const acceptedTypes = parseAccept(accept);
+  const format = getServedFormats(formats).find(
+    (candidate) => candidate === 'original' || acceptedTypes.includes(FORMAT_TYPES[candidate]),
+  );
+  return format || 'original';
+}
+
+/**
+ * Returns the formats a response can be negotiated between
+ * @param {string[]} [formats] - Output formats of the options
+ * @returns {string[]} - Formats, most preferred first
+ */
+function getServedFormats(formats) {
+  return formats && formats.length > 0 ? formats : DEFAULT_SERVED_FORMATS;
+}
+
+/**
+ * Lists the media types of an Accept header that the client accepts; types
+ * with `q=0` are refused
+ * @param {string} accept - Accept header
+ * @returns {string[]} - Accepted media types in lower case
+ */
+function parseAccept(accept) {
+  return accept
+    .split(',')
+    .map((entry) => {
+      const [type, ...params] = entry.split(';').map((part) => part.trim().toLowerCase());
+      const q = params.find((param) => /^q\s*=/.test(param));
+      return { type, quality: q ? Number(q.split('=')[1]) : 1 };
+    })
+    .filter(({ quality }) => quality > 0)
+    .map(({ type }) => type);
+}
+
+/**
+ * Returns the optimization options of one requested variant
+ * @param {Object} options - Optimization options of the file
+ * @param {string} format - Negotiated output format
+ * @param {Object} query - Requested `width` and `quality`
+ * @returns {Object} - Options for optimizeBuffer
+ */
+function getRequestOptions(options, format, query) {
+  // Batch resizes and placeholders do not apply to a single response
+  const requestOptions = {
+    ...options,
+    format,
+    resize: query.width ? { maxWidth: query.width } : null,
+    placeholders: [],
+  };
+  if (query.quality !== null) {
+    // An explicit quality replaces the per-format qualities and the quality search
+    Object.assign(requestOptions, {
+      jpgQuality: query.quality,
+      pngQuality: query.quality,
+      webpQuality: query.quality,
+      avifQuality: query.quality,
+      targetSsim: null,
+      maxBytes: null,
+    });
+  }
+  return requestOptions;
+}
+
+/**
+ * Encodes a variant of an image and writes it to the cache atomically, so a
+ * cached file is always complete.
+ * @param {string} inputFile - Source image path
+ * @param {string} cacheFile - Cache file path
+ * @param {Object} options - Options returned by getRequestOptions
+ * @returns {Promise<void>}
+ */
+async function encodeToCache(inputFile, cacheFile, options) {
+  const { data } = await optimizeBuffer(await fs.readFile(inputFile), options);
+  await fs.ensureDir(path.dirname(cacheFile));
+  await writeAtomic(cacheFile, (tempFile) => fs.writeFile(tempFile, data));
+}
+
+/**
+ * Starts a local preview server for the images of a folder. `/` lists the
+ * images with a preview at each allowed width; image paths are served by
+ * createMiddleware.
+ * @param {string} inputDir - Folder of the source images
+ * @param {Object} [options] - Optimization options, plus the options of resolveServeOptions
+ * @returns {Promise<Object>} - Listening HTTP server
+ * @throws {Error} - If an option is invalid or the port cannot be used
+ */
+async function startServer(inputDir, options = {}) {
+  const middleware = createMiddleware(inputDir, options);
+  const { port, host, widths } = resolveServeOptions(options);
+
+  const server = http.createServer((req, res) => {
+    middleware(req, res, (err) => {
+      if (err) {
+        if (!options.silent) {
+          console.error(chalk.red(`Error: ${req.url}: ${err.message}`));
+        }
+        sendText(res, 500, err.message);
+      } else if (new URL(req.url, 'http://localhost').pathname === '/') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(createIndexPage(path.resolve(inputDir), widths, options.ignorePatterns));
+      } else {
+        sendText(res, 404, 'Not found');
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
+
+/**
+ * Builds the HTML page that lists the images of the input folder
+ * @param {string} inputDir - Folder of the source images
+ * @param {number[]} widths - Allowed widths
+ * @param {string[]} [ignorePatterns] - Glob patterns of files not to list
+ * @returns {string} - HTML document
+ */
+function createIndexPage(inputDir, widths, ignorePatterns = []) {
+  const files = glob
+    .sync('**/*', { cwd: inputDir, nodir: true })
+    .filter((file) => SERVED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .filter((file) => !isIgnored(file, ignorePatterns));
+
+  const items = files.map((file) => {
+    const url = file.split('/').map(encodeURIComponent).join('/');
+    const previewWidth = widths.length > 0 ? `?w=${widths[0]}` : '';
+    const links = widths.map((width) => `<a href="/${url}?w=${width}">${width}w</a>`);
+    return (
+      `<li><a href="/${url}"><img src="/${url}${previewWidth}" alt="" loading="lazy"></a>` +
+      `<span>${escapeHtml(file)}</span> ${links.join(' ')}</li>`
+    );
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Optiweb preview</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+ul { list-style: none; padding: 0; display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 1rem; }
+li { border: 1px solid #ddd; padding: 0.5rem; }
+img { display: block; max-width: 100%; margin-bottom: 0.5rem; }
+span { display: block; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>Optiweb preview</h1>
+<p>${files.length} images in ${escapeHtml(inputDir)}</p>
+<ul>
+${items.join('\n')}
+</ul>
+</body>
+</html>
+`;
+}
+
+/**
+ * Ends a response with a plain text message
+ * @param {Object} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Response body
+ */
+function sendText(res, status, message) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end(message);
+}
+
+/**
+ * Checks whether a file matches the ignore patterns of the run
+ * @param {string} file - File path relative to the input directory (forward slashes)
+ * @param {string[]} [ignorePatterns] - Glob patterns of ignored files
+ * @returns {boolean} - True if the file is ignored
+ */
+function isIgnored(file, ignorePatterns = []) {
+  return ignorePatterns.length > 0 && micromatch.isMatch(file, ignorePatterns);
+}
+
+module.exports = {
+  SERVED_EXTENSIONS,
+  createMiddleware,
+  startServer,
+  negotiateFormat,
+};
@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Letters that Unicode normalization does not reduce to ASCII
+ */
+const TRANSLITERATIONS = {
+  ß: 'ss',
+  ẞ: 'ss',
+  ı: 'i',
+  æ: 'ae',
+  Æ: 'ae',
+  œ: 'oe',
+  Œ: 'oe',
+  ø: 'o',
+  Ø: 'o',
+  đ: 'd',
+  Đ: 'd',
+  ð: 'd',
+  Ð: 'd',
+  ł: 'l',
+  Ł: 'l',
+  þ: 'th',
+  Þ: 'th',
+  ħ: 'h',
+  Ħ: 'h',
+};
+
+/**
+ * Slug used for names without a single letter or digit
+ */
+const EMPTY_SLUG = 'untitled';
+
+/**
+ * Converts text to a slug: transliterates accented Latin letters (ç → c,
+ * ş → s, ß → ss), lowercases, replaces spaces with hyphens and removes
+ * punctuation. Letters of other scripts are kept.
+ * @param {string} text - Name without extension
+ * @returns {string} - Slug, or EMPTY_SLUG if nothing is left
+ */
+function slugify(text) {
+  const slug = text
+    .replace(/[^\u0000-\u007f]/g, (char) => TRANSLITERATIONS[char] || char)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '') // Remove accents split off by normalization
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_\s-]/gu, '') // Remove special characters
+    .replace(/\s+/g, '-') // Replace spaces with hyphens
+    .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
+    .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+
+  return slug || EMPTY_SLUG;
+}
+
+/**
+ * Converts a filename to slug format, keeping its extension
+ * @param {string} filename - Original filename
+ * @returns {string} - Slugified filename
+ */
+function slugifyFilename(filename) {
+  const lastDotIndex = filename.lastIndexOf('.');
+  if (lastDotIndex === 0) {
+    return filename; // Dotfiles such as .htaccess keep their name
+  }
+  const ext = lastDotIndex !== -1 ? filename.slice(lastDotIndex) : '';
+  const name = lastDotIndex !== -1 ? filename.slice(0, lastDotIndex) : filename;
+  return slugify(name) + ext;
+}
+
+/**
+ * Converts a path relative to the input directory to slug format
+ * @param {string} file - File path relative to the input directory (forward slashes)
+ * @param {boolean} [slugDirs] - Also convert the folder names
+ * @returns {string} - Slugified path
+ */
+function slugifyPath(file, slugDirs = false) {
+  const segments = file.split('/');
+  const fileName = segments.pop();
+  const dirs = slugDirs ? segments.map(slugify) : segments;
+  return [...dirs, slugifyFilename(fileName)].join('/');
+}
+
+/**
+ * Decides the output path of every file of a run that is slugified. Files
+ * whose slugified names collide (`Foto.jpg` and `foto.jpg`, or `çiçek.jpg`
+ * and `cicek.png`, which both become `cicek.webp`) get `-2`, `-3` suffixes:
+ * a file that already has its slug name keeps it, the others follow in path
+ * order. Names are compared without extension and case, so files that only
+ * differ in extension (`hero.jpg` and `hero.webp`) stay together.
+ * @param {string[]} files - File paths relative to the input directory (forward slashes)
+ * @param {Function} getOptions - Returns the options of a file (`slug`, `slugDirs`, `slugStrict`)
+ * @returns {Map<string, string>} - Output path of each slugified file, relative to the output directory
+ * @throws {Error} - With `slugStrict`, if slugified names collide
+ */
+function createSlugMap(files, getOptions) {
+  // Files that share a name without extension share their slug
+  const owners = new Map();
+  [...files].sort().forEach((file) => {
+    const stem = removeExtension(file);
+    if (!owners.has(stem)) {
+      const options = getOptions(file);
+      const target = options.slug ? removeExtension(slugifyPath(file, options.slugDirs)) : stem;
+      owners.set(stem, { stem, target, options, files: [] });
+    }
+    owners.get(stem).files.push(file);
+  });
+
+  // Names that are not renamed go first; they keep their name
+  const ordered = [...owners.values()].sort(
+    (a, b) =>
+      Number(a.options.slug && a.stem !== a.target) - Number(b.options.slug && b.stem !== b.target),
+  );
+  const wanted = new Set(ordered.map((owner) => owner.target.toLowerCase()));
+  const taken = new Map();
+  const collisions = [];
+  const slugMap = new Map();
+
+  ordered.forEach((owner) => {
+    let target = owner.target;
+    const first = taken.get(target.toLowerCase());
+    if (first && owner.options.slug) {
+      if (owner.options.slugStrict) {
+        collisions.push(`${owner.files[0]} and ${first.files[0]} → ${target}`);
+      }
+      let n = 2;
+      while (
+        wanted.has(`${target}-${n}`.toLowerCase()) ||
+        taken.has(`${target}-${n}`.toLowerCase())
+      ) {
+        n++;
+      }
+      target = `${target}-${n}`;
+    }
+    if (!taken.has(target.toLowerCase())) {
+      taken.set(target.toLowerCase(), owner);
+    }
+    if (owner.options.slug) {
+      owner.files.forEach((file) => slugMap.set(file, target + path.extname(file)));
+    }
+  });
+
+  if (collisions.length > 0) {
+    throw new Error(
+      `Slugified file names collide: ${collisions.join('; ')}. ` +
+        'Rename the files, or run without --slug-strict to add -2, -3 suffixes.',
+    );
+  }
+  return slugMap;
+}
+
+/**
+ * Lists the files that slugification renames
+ * @param {Map<string, string>} slugMap - Map returned by createSlugMap
+ * @returns {Object} - New path keyed by old path, relative to the input and output directories
+ */
+function buildRenameMap(slugMap) {
+  const renames = {};
+  [...slugMap.keys()].sort().forEach((file) => {
+    if (slugMap.get(file) !== file) {
+      renames[file] = slugMap.get(file);
+    }
+  });
+  return renames;
+}
+
+/**
+ * Writes the rename map to a JSON file
+ * @param {string} renameMapFile - Rename map file path
+ * @param {Object} renames - Renames returned by buildRenameMap
+ */
+async function writeRenameMap(renameMapFile, renames) {
+  await fs.outputJson(renameMapFile, renames, { spaces: 2 });
+}
+
+/**
+ * Removes the extension of a path
+ * @param {string} file - File path
+ * @returns {string} - Path without extension
+ */
+function removeExtension(file) {
+  return file.slice(0, file.length - path.extname(file).length);
+}
+
+module.exports = {
+  slugify,
+  slugifyFilename,
+  slugifyPath,
+  createSlugMap,
+  buildRenameMap,
+  writeRenameMap,
+};
@@ -0,0 +1,154 @@
+/**
+ * Namespaces of editor-only data written by Inkscape, Sketch, Illustrator and others
+ */
+const EDITOR_NAMESPACES = [
+  'http://www.inkscape.org/namespaces/inkscape',
+  'http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd',
+  'http://inkscape.sourceforge.net/DTD/sodipodi-0.dtd',
+  'http://www.bohemiancoding.com/sketch/ns',
+  'http://ns.adobe.com/AdobeIllustrator/10.0/',
+  'http://ns.adobe.com/AdobeSVGViewerExtensions/3.0/',
+  'http://ns.adobe.com/Extensibility/1.0/',
+  'http://ns.adobe.com/Flows/1.0/',
+  'http://ns.adobe.com/GenericCustomNamespace/1.0/',
+  'http://ns.adobe.com/Graphs/1.0/',
+  'http://ns.adobe.com/ImageReplacement/1.0/',
+  'http://ns.adobe.com/SaveForWeb/1.0/',
+  'http://ns.adobe.com/Variables/1.0/',
+  'http://ns.adobe.com/XPath/1.0/',
+  'http://www.serif.com/',
+  'http://www.vector.evaxdesign.sk',
+];
+
+/**
+ * Attributes whose numbers are rounded to the configured precision
+ */
+const NUMERIC_ATTRIBUTES = [
+  'd',
+  'points',
+  'viewBox',
+  'transform',
+  'gradientTransform',
+  'patternTransform',
+  'x',
+  'y',
+  'x1',
+  'y1',
+  'x2',
+  'y2',
+  'cx',
+  'cy',
+  'fx',
+  'fy',
+  'r',
+  'rx',
+  'ry',
+  'dx',
+  'dy',
+  'width',
+  'height',
+  'offset',
+  'opacity',
+  'fill-opacity',
+  'stroke-opacity',
+  'stop-opacity',
+  'stroke-width',
+  'stroke-dasharray',
+  'stroke-dashoffset',
+  'stdDeviation',
+];
+
+/**
+ * Minifies SVG markup: removes comments, the XML declaration, <metadata>,
+ * editor namespaces and their elements and attributes, rounds coordinates to
+ * `precision` decimals and collapses whitespace between tags
+ * @param {string} content - SVG markup
+ * @param {Object} [options] - Minify options
+ * @param {number} [options.precision] - Decimals kept in numeric attributes (default: 3)
+ * @returns {string} - Minified SVG markup
+ */
+function minifySvg(content, options = {}) {
+  const precision = options.precision !== undefined ? options.precision : 3;
+
+  let svg = content
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<\?xml[\s\S]*?\?>/g, '')
+    // A DOCTYPE with an internal subset declares entities that may still be used
+    .replace(/<!DOCTYPE[^[>]*>/gi, '')
+    .replace(/<metadata\b[^>]*\/>|<metadata\b[\s\S]*?<\/metadata\s*>/g, '');
+
+  // Editor namespaces: the declarations, then the elements and attributes using them
+  const namespaces = [...svg.matchAll(/\sxmlns:([\w.-]+)\s*=\s*(["'])(.*?)\2/g)];
+  namespaces
+    .filter(([, , , uri]) => EDITOR_NAMESPACES.includes(uri))
+    .forEach(([declaration, prefix]) => {
+      const name = `${escapeRegExp(prefix)}:[\\w.-]+`;
+      svg = svg
+        .replace(declaration, '')
+        .replace(new RegExp(`<(${name})(?:\\s[^>]*)?(?<!/)>[\\s\\S]*?</\\1\\s*>`, 'g'), '')
+        .replace(new RegExp(`<${name}(?:\\s[^>]*)?/>`, 'g'), '')
+        .replace(new RegExp(`\\s${name}\\s*=\\s*(?:"[^"]*"|'[^']*')`, 'g'), '');
+    });
+
+  // Namespace declarations nothing refers to any more (e.g. rdf and dc after <metadata>)
+  namespaces.forEach(([declaration, prefix]) => {
+    const usage = new RegExp(`[<\\s/]${escapeRegExp(prefix)}:`);
+    if (svg.includes(declaration) && !usage.test(svg.replace(declaration, ''))) {
+      svg = svg.replace(declaration, '');
+    }
+  });
+
+  // Round numbers in coordinate and length attributes
+  svg = svg.replace(
+    /(\s)([\w:-]+)(\s*=\s*)(["'])(.*?)\4/g,
+    (match, space, name, equals, quote, value) => {
+      if (!NUMERIC_ATTRIBUTES.includes(name)) {
+        return match;
+      }
+      return `${space}${name}${equals}${quote}${roundNumbers(value, precision)}${quote}`;
+    },
+  );
+
+  // Whitespace between tags is significant in text content
+  if (!/<text\b|xml:space\s*=\s*["']preserve/.test(svg)) {
+    svg = svg.replace(/>\s+</g, '><');
+  }
+
+  // Whitespace inside tags
+  svg = svg.replace(/<[^!?/][^>]*>/g, (tag) => tag.replace(/\s+/g, ' ').replace(/\s(\/?>)$/, '$1'));
+
+  return svg.trim();
+}
+
+/**
+ * Rounds every decimal number in an attribute value
+ * @param {string} value - Attribute value (a number, list or path data)
+ * @param {number} precision - Decimals to keep
+ * @returns {string} - Value with rounded numbers
+ */
+function roundNumbers(value, precision) {
+  return value.replace(/-?(?:\d+\.\d*|\.\d+)(?:e[+-]?\d+)?/gi, (number, offset) => {
+    let rounded = String(Number(Number(number).toFixed(precision)));
+    if (rounded === '-0') {
+      rounded = '0';
+    }
+    // In path data "1.00.5" is two numbers; "1.5" would be one
+    if (!rounded.includes('.') && value[offset + number.length] === '.') {
+      rounded += ' ';
+    }
+    return rounded;
+  });
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  minifySvg,
+};
@@ -0,0 +1,282 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const ora = require('ora');
+const chalk = require('chalk');
+const chokidar = require('chokidar');
+const micromatch = require('micromatch');
+const {
+  IMAGE_EXTENSIONS,
+  SKIP_REASONS,
+  processFile,
+  createResults,
+  formatChange,
+  getOutputLocation,
+  getOutputPaths,
+} = require('./optiweb');
+const { FOCAL_POINT_SUFFIX } = require('./crop');
+const { usesContentHash, findHashedOutputs } = require('./naming');
+const { createSlugMap } = require('./slug');
+const { isWebpFile, createSiblingIndex, findWebpSibling, findWebpSiblings } = require('./webp');
+const { getFileOptions } = require('./config');
+const { withDefaults } = require('./options');
+const { isInside } = require('./paths');
+
+/**
+ * Quiet period in milliseconds before a burst of file events is processed
+ */
+const DEBOUNCE_DELAY = 300;
+
+/**
+ * Watches the input directory and updates only the affected outputs when
+ * files are added, changed, renamed or deleted
+ * @param {string} inputDir - Input directory path
+ * @param {string} outputDir - Output directory path
+ * @param {Object} options - Optimization options
+ * @returns {Object} - Chokidar watcher; call `close()` to stop watching
+ */
+function watchDirectory(inputDir, outputDir, options = {}) {
+  options = withDefaults(options);
+  const log = (message) => !options.silent && console.log(message);
+  const isIgnored = (file) =>
+    options.ignorePatterns.length > 0 && micromatch.isMatch(file, options.ignorePatterns);
+
+  // Known source files, used to find the WebP file next to an image and to
+  // give slugified names that collide their suffixes
+  const knownFiles = new Set(
+    glob
+      .sync('**/*', { cwd: inputDir, nodir: true, dot: true })
+      .filter((f) => !isIgnored(f) && !f.endsWith(FOCAL_POINT_SUFFIX)),
+  );
+  const getOptions = (file) => getFileOptions(file, options);
+
+  // Watch events are processed silently; each event prints its own log line.
+  // A changed source is encoded again even though its outputs exist, so
+  // --skip-existing (also from a config rule) only applies to the first run.
+  const context = {
+    inputDir,
+    outputDir,
+    options: {
+      ...options,
+      silent: true,
+      skipExisting: false,
+      rules: (options.rules || []).map((rule) => ({
+        ...rule,
+        options: { ...rule.options, skipExisting: false },
+      })),
+    },
+    spinner: ora({ isSilent: true }),
+    emit: (event, payload) => options.events && options.events.emit(event, payload),
+    results: createResults(),
+    sourceFiles: knownFiles,
+    siblings: createSiblingIndex(knownFiles),
+    slugPaths: createSlugMap(knownFiles, getOptions),
+    cache: null,
+    cacheEntries: {},
+  };
+
+  const pending = new Map();
+  let timer = null;
+  let queue = Promise.resolve();
+
+  /**
+   * Updates the sibling index and the slugified names after a file is added
+   * or deleted, and moves the outputs of other files whose collision suffix changed
+   * @param {string} file - Added or deleted file path relative to the input directory
+   */
+  const updateSlugPaths = async (file) => {
+    context.siblings = createSiblingIndex(knownFiles);
+    const previous = context.slugPaths;
+    context.slugPaths = createSlugMap(knownFiles, getOptions);
+    for (const other of knownFiles) {
+      if (other !== file && previous.get(other) !== context.slugPaths.get(other)) {
+        await removeOutputs(other, outputDir, options, previous);
+        log(formatResult(await processFile(other, context)));
+      }
+    }
+  };
+
+  /**
+   * Processes an added or changed file and logs the outcome
+   * @param {string} file - File path relative to the input directory
+   */
+  const update = async (file) => {
+    if (!knownFiles.has(file)) {
+      knownFiles.add(file);
+      await updateSlugPaths(file);
+    }
+
+    // A new or changed WebP can change which file of its pair is used
+    // (--on-existing-webp), so the images next to it are processed again first
+    if (isWebpFile(file)) {
+      for (const sibling of findImageSiblings(file, context.siblings)) {
+        const removed = await removeOutputs(sibling, outputDir, options, context.slugPaths);
+        const siblingResult = await processFile(sibling, context);
+        if (siblingResult.reason === 'webp-exists' && removed > 0) {
+          log(formatLine('removed', sibling, `(WebP exists, ${removed} outputs)`));
+        } else {
+          log(formatResult(siblingResult));
+        }
+      }
+    }
+
+    // Outputs named by content hash get new names; drop the outdated ones
+    if (usesContentHash(getFileOptions(file, options))) {
+      await removeOutputs(file, outputDir, options, context.slugPaths);
+    }
+
+    const fileResult = await processFile(file, context);
+    log(formatResult(fileResult));
+  };
+
+  /**
+   * Removes the outputs of a deleted file and logs the outcome
+   * @param {string} file - File path relative to the input directory
+   */
+  const remove = async (file) => {
+    knownFiles.delete(file);
+    const removed = await removeOutputs(file, outputDir, options, context.slugPaths);
+    log(formatLine('removed', file, `(${removed} outputs)`));
+    await updateSlugPaths(file);
+
+    // Without the WebP, images with the same name in its folder are optimized again
+    if (isWebpFile(file)) {
+      for (const sibling of findImageSiblings(file, context.siblings)) {
+        log(formatResult(await processFile(sibling, context)));
+      }
+    }
+
+    // The outputs of a removed image can include the path of the WebP next to it
+    const webpFile = IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())
+      ? findWebpSibling(file, context.siblings)
+      : null;
+    if (webpFile) {
+      log(formatResult(await processFile(webpFile, context)));
+    }
+  };
+
+  const flush = async () => {
+    const events = [...pending.entries()];
+    pending.clear();
+    for (const [file, event] of events) {
+      if (event === 'unlink') {
+        await remove(file);
+      } else {
+        await update(file);
+      }
+    }
+  };
+
+  // Collect events and process them once the burst of writes is over
+  const schedule = (event, file) => {
+    // A focal point sidecar is not an output; its image is cropped again
+    if (file.endsWith(FOCAL_POINT_SUFFIX)) {
+      const imageFile = file.slice(0, -FOCAL_POINT_SUFFIX.length);
+      if (knownFiles.has(imageFile)) {
+        schedule('change', imageFile);
+      }
+      return;
+    }
+    if (isIgnored(file)) {
+      return;
+    }
+    pending.set(file, event);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      queue = queue.then(flush).catch((err) => log(formatLine('error', '', err.message)));
+    }, DEBOUNCE_DELAY);
+  };
+
+  // Never watch the output directory when it is inside the input directory
+  const outputInsideInput = outputDir !== inputDir && isInside(outputDir, inputDir);
+
+  const watcher = chokidar.watch('.', {
+    cwd: inputDir,
+    ignoreInitial: true,
+    ignored: (watchedPath) =>
+      outputInsideInput && isInside(path.resolve(inputDir, watchedPath), outputDir),
+    awaitWriteFinish: { stabilityThreshold: 100, pollInterval: 50 },
+  });
+
+  watcher.on('add', (file) => schedule('change', file));
+  watcher.on('change', (file) => schedule('change', file));
+  watcher.on('unlink', (file) => schedule('unlink', file));
+
+  return watcher;
+}
+
+/**
+ * Removes every output of a source file that exists, with any content hash
+ * @param {string} file - File path relative to the input directory
+ * @param {string} outputDir - Output directory path
+ * @param {Object} options - Optimization options
+ * @param {Map<string, string>} slugPaths - Output paths of the slugified files
+ * @returns {Promise<number>} - Number of removed outputs
+ */
+async function removeOutputs(file, outputDir, options, slugPaths) {
+  const fileOptions = getFileOptions(file, options);
+  const location = getOutputLocation(file, fileOptions, slugPaths);
+  let removed = 0;
+  for (const outputPath of getOutputPaths(file, outputDir, fileOptions, location)) {
+    const existing = outputPath.includes('{hash}')
+      ? await findHashedOutputs(outputPath)
+      : [outputPath].filter((p) => fs.existsSync(p));
+    for (const existingPath of existing) {
+      await fs.remove(existingPath);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Finds the source images next to a WebP file with the same base name
+ * @param {string} webpFile - WebP file path relative to the input directory
+ * @param {Map<string, string[]>} siblings - Index of the known source files
+ * @returns {string[]} - Images in the same folder with the same base name
+ */
+function findImageSiblings(webpFile, siblings) {
+  return findWebpSiblings(webpFile, siblings).filter((file) =>
+    IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()),
+  );
+}
+
+/**
+ * Formats a log line for a processed file
+ * @param {Object} fileResult - Result returned by processFile
+ * @returns {string} - Log line
+ */
+function formatResult(fileResult) {
+  const { file, action } = fileResult;
+
+  if (action === 'optimized') {
+    const outputSize = fileResult.outputs.reduce((sum, output) => sum + output.size, 0);
+    const change = formatChange(fileResult.inputSize * fileResult.outputs.length, outputSize);
+    return formatLine(action, file, `→ ${fileResult.outputs.length} outputs (${change})`);
+  }
+  if (action === 'skipped') {
+    return formatLine(action, file, `(${SKIP_REASONS[fileResult.reason] || fileResult.reason})`);
+  }
+  if (action === 'error') {
+    return formatLine(action, file, `- ${fileResult.error.message}`);
+  }
+  return formatLine(action, file, '');
+}
+
+/**
+ * Formats a timestamped watch log line
+ * @param {string} action - Action taken (optimized, copied, skipped, removed, error)
+ * @param {string} file - File path relative to the input directory
+ * @param {string} details - Extra details
+ * @returns {string} - Log line
+ */
+function formatLine(action, file, details) {
+  const colors = { optimized: chalk.green, copied: chalk.blue, error: chalk.red };
+  const color = colors[action] || chalk.yellow;
+  const time = new Date().toLocaleTimeString();
+  return `${chalk.gray(`[${time}]`)} ${color(action)} ${file} ${chalk.gray(details)}`.trimEnd();
+}
+
+module.exports = {
+  watchDirectory,
+};
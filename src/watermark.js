@@ -0,0 +1,186 @@
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const micromatch = require('micromatch');
+
+/**
+ * Named positions accepted by --watermark-position (a 3x3 grid)
+ */
+const WATERMARK_POSITIONS = [
+  'top-left',
+  'top',
+  'top-right',
+  'left',
+  'center',
+  'right',
+  'bottom-left',
+  'bottom',
+  'bottom-right',
+];
+
+/**
+ * Parses a watermark position: a grid name, or `x,y` fractions of the free
+ * space (0,0 is the top-left corner, 1,1 the bottom-right corner)
+ * @param {string|Object} value - Position name, `x,y`, or `{ x, y }` from a config file
+ * @returns {Object|null} - Position with `x` and `y` between 0 and 1, or null if invalid
+ */
+function parseWatermarkPosition(value) {
+  if (value !== null && typeof value === 'object') {
+    const valid = ['x', 'y'].every(
+      (axis) => typeof value[axis] === 'number' && value[axis] >= 0 && value[axis] <= 1,
+    );
+    return valid ? { x: value.x, y: value.y } : null;
+  }
+
+  const name = String(value).trim().toLowerCase();
+  const index = WATERMARK_POSITIONS.indexOf(name);
+  if (index !== -1) {
+    return { x: (index % 3) / 2, y: Math.floor(index / 3) / 2 };
+  }
+
+  const match = name.match(/^(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)$/);
+  if (!match || Number(match[1]) > 1 || Number(match[2]) > 1) {
+    return null;
+  }
+  return { x: Number(match[1]), y: Number(match[2]) };
+}
+
+/**
+ * Checks whether the options stamp a watermark image or text
+ * @param {Object} options - Optimization options
+ * @returns {boolean} - True if `watermark` or `watermarkText` is set
+ */
+function hasWatermark(options) {
+  return Boolean(options.watermark || options.watermarkText);
+}
+
+/**
+ * Removes the watermark from the options of a file that does not match
+ * `watermarkFiles`
+ * @param {string} file - File path relative to the input directory
+ * @param {Object} options - Optimization options of the file
+ * @returns {Object} - Options, without watermark for files that are not stamped
+ */
+function getWatermarkOptions(file, options) {
+  const patterns = options.watermarkFiles || [];
+  if (
+    !hasWatermark(options) ||
+    patterns.length === 0 ||
+    micromatch.isMatch(file, patterns, { dot: true })
+  ) {
+    return options;
+  }
+  return { ...options, watermark: null, watermarkText: null };
+}
+
+/**
+ * Returns the state of the watermark image for cache fingerprints, so
+ * editing the image invalidates the outputs stamped with it
+ * @param {string} watermarkFile - Watermark image path
+ * @returns {string|null} - File size and modification time, or null if it cannot be read
+ */
+function getWatermarkStamp(watermarkFile) {
+  try {
+    const stats = fs.statSync(watermarkFile);
+    return `${stats.size}:${stats.mtimeMs}`;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Composites the watermark over a resized output. The watermark is scaled to
+ * `watermarkScale` of the output width and placed at `watermarkPosition`,
+ * `watermarkMargin` (a fraction of the output width) away from the edges.
+ * The output is rendered once to learn its size, since every size of a
+ * multi-size run gets its own scale.
+ * @param {Object} image - Sharp instance with resize applied
+ * @param {Object} options - Optimization options (`watermark` or `watermarkText`, and the
+ *   watermark position, margin, opacity, scale and colour)
+ * @returns {Promise<Object>} - Sharp instance with the watermark composited
+ * @throws {Error} - If the watermark image cannot be read
+ */
+async function applyWatermark(image, options) {
+  const { info } = await image.clone().raw().toBuffer({ resolveWithObject: true });
+  const margin = Math.round(info.width * options.watermarkMargin);
+  const box = {
+    width: Math.min(Math.round(info.width * options.watermarkScale), info.width - 2 * margin),
+    height: info.height - 2 * margin,
+  };
+  if (box.width < 1 || box.height < 1) {
+    return image; // No room left inside the margin
+  }
+
+  const overlay = await renderWatermark(box, options);
+  const { width, height } = await sharp(overlay).metadata();
+  const position = parseWatermarkPosition(options.watermarkPosition);
+  return image.composite([
+    {
+      input: overlay,
+      left: margin + Math.round((info.width - 2 * margin - width) * position.x),
+      top: margin + Math.round((info.height - 2 * margin - height) * position.y),
+    },
+  ]);
+}
+
+/**
+ * Renders the watermark image or text to fit a box, at the watermark opacity
+ * @param {Object} box - Maximum `width` and `height`
+ * @param {Object} options - Optimization options
+ * @returns {Promise<Buffer>} - PNG data of the watermark
+ */
+async function renderWatermark(box, options) {
+  let watermark;
+  if (options.watermark) {
+    if (!(await fs.pathExists(options.watermark))) {
+      throw new Error(`Watermark image not found: ${options.watermark}`);
+    }
+    watermark = sharp(options.watermark).resize({ ...box, fit: 'inside' });
+  } else {
+    // The text is fitted into the box on one line
+    watermark = sharp({
+      text: {
+        text: `<span foreground="${options.watermarkColor}">${escapeMarkup(options.watermarkText)}</span>`,
+        width: box.width,
+        height: Math.min(box.width, box.height),
+        wrap: 'none',
+        rgba: true,
+      },
+    });
+  }
+
+  const data = await watermark.ensureAlpha().png().toBuffer();
+  if (options.watermarkOpacity >= 1) {
+    return data;
+  }
+  // Scale the alpha channel by the opacity
+  const alpha = Math.round(255 * options.watermarkOpacity);
+  return sharp(data)
+    .composite([
+      {
+        input: Buffer.from([255, 255, 255, alpha]),
+        raw: { width: 1, height: 1, channels: 4 },
+        tile: true,
+        blend: 'dest-in',
+      },
+    ])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Escapes text for Pango markup
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeMarkup(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  WATERMARK_POSITIONS,
+  parseWatermarkPosition,
+  hasWatermark,
+  getWatermarkOptions,
+  getWatermarkStamp,
+  applyWatermark,
+};
@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Supported values for --on-existing-webp
+ */
+const WEBP_POLICIES = ['skip', 'keep-both', 'prefer-newer', 'regenerate'];
+
+/**
+ * Checks whether a file is a WebP image
+ * @param {string} file - File path
+ * @returns {boolean} - True for .webp files
+ */
+function isWebpFile(file) {
+  return path.extname(file).toLowerCase() === '.webp';
+}
+
+/**
+ * Groups files by folder and base name, so the files next to an image or a
+ * WebP are looked up instead of searched for in every file of the run
+ * @param {Iterable<string>} files - Source files of the run, relative to the input directory
+ * @returns {Map<string, string[]>} - Files keyed by folder and base name
+ */
+function createSiblingIndex(files) {
+  const siblings = new Map();
+  for (const file of files) {
+    const key = getSiblingKey(file);
+    if (!siblings.has(key)) siblings.set(key, []);
+    siblings.get(key).push(file);
+  }
+  return siblings;
+}
+
+/**
+ * Finds the WebP file next to a source image: same folder, same base name
+ * @param {string} file - Image path relative to the input directory
+ * @param {Map<string, string[]>} siblings - Index returned by createSiblingIndex
+ * @returns {string|null} - WebP file path, or null if there is none
+ */
+function findWebpSibling(file, siblings) {
+  return (siblings.get(getSiblingKey(file)) || []).find(isWebpFile) || null;
+}
+
+/**
+ * Finds the files next to a WebP file with the same base name
+ * @param {string} webpFile - WebP path relative to the input directory
+ * @param {Map<string, string[]>} siblings - Index returned by createSiblingIndex
+ * @returns {string[]} - Files in the same folder with the same base name
+ */
+function findWebpSiblings(webpFile, siblings) {
+  return (siblings.get(getSiblingKey(webpFile)) || []).filter((file) => file !== webpFile);
+}
+
+/**
+ * Returns the key of a file in the sibling index
+ * @param {string} file - File path relative to the input directory
+ * @returns {string} - Folder and base name without extension
+ */
+function getSiblingKey(file) {
+  return `${path.dirname(file)}/${path.basename(file, path.extname(file))}`;
+}
+
+/**
+ * Decides which file of a source image / WebP pair is used
+ *
+ * - skip: the WebP is kept and the source image is not processed
+ * - keep-both: the source image is optimized, without the WebP output that
+ *   would overwrite the existing WebP
+ * - prefer-newer: the file modified last wins (the WebP on a tie)
+ * - regenerate: the source image is optimized and its WebP output replaces
+ *   the existing WebP
+ * @param {string} inputDir - Input directory path
+ * @param {string} image - Source image path relative to the input directory
+ * @param {string} webp - WebP path relative to the input directory
+ * @param {string} policy - One of WEBP_POLICIES
+ * @returns {Object} - `image`, `webp`, `policy` and `keep` (webp, both or source)
+ */
+function resolveWebpConflict(inputDir, image, webp, policy = 'skip') {
+  let keep = { skip: 'webp', 'keep-both': 'both', regenerate: 'source' }[policy];
+  if (policy === 'prefer-newer') {
+    const imageTime = fs.statSync(path.join(inputDir, image)).mtimeMs;
+    const webpTime = fs.statSync(path.join(inputDir, webp)).mtimeMs;
+    keep = imageTime > webpTime ? 'source' : 'webp';
+  }
+  return { image, webp, policy, keep };
+}
+
+/**
+ * Formats a conflict for log output
+ * @param {Object} conflict - Conflict returned by resolveWebpConflict
+ * @returns {string} - Pair, policy and outcome
+ */
+function describeWebpConflict(conflict) {
+  const outcomes = {
+    webp: `${conflict.image} skipped, ${conflict.webp} kept`,
+    both: `${conflict.image} optimized, ${conflict.webp} kept`,
+    source: `${conflict.image} optimized, replaces ${conflict.webp}`,
+  };
+  return `${conflict.image} ↔ ${conflict.webp} (${conflict.policy}): ${outcomes[conflict.keep]}`;
+}
+
+module.exports = {
+  WEBP_POLICIES,
+  isWebpFile,
+  createSiblingIndex,
+  findWebpSibling,
+  findWebpSiblings,
+  resolveWebpConflict,
+  describeWebpConflict,
+};
@@ -0,0 +1,45 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { parseImageImport, createImageVariants, createImageModule } = require('./bundler');
+
+/**
+ * Webpack loader of image imports with srcset query parameters, registered by
+ * OptiwebWebpackPlugin. Emits every output as an asset named after its content
+ * hash and returns the module created by createImageModule.
+ */
+module.exports = function optiwebLoader() {
+  const callback = this.async();
+  loadImage(this)
+    .then((code) => callback(null, code))
+    .catch(callback);
+};
+
+// Image data is not needed as text; the variants are read from the cache folder
+module.exports.raw = true;
+
+/**
+ * Creates the variants of an imported image and emits them
+ * @param {Object} loader - Webpack loader context
+ * @returns {Promise<string>} - Module code
+ */
+async function loadImage(loader) {
+  const request = parseImageImport(loader.resourcePath + loader.resourceQuery);
+  if (!request) {
+    throw new Error(
+      `Srcset imports need a JPG, PNG, GIF or TIFF image: ${path.basename(loader.resourcePath)}`,
+    );
+  }
+  const variants = await createImageVariants(request, loader.getOptions());
+
+  const urls = [];
+  for (const output of variants.outputs) {
+    const source = await fs.readFile(output.path);
+    const hash = crypto.createHash('sha1').update(source).digest('hex').slice(0, 8);
+    const ext = path.extname(output.path);
+    const fileName = `${path.basename(output.path, ext)}.${hash}${ext}`;
+    loader.emitFile(fileName, source, null, { optiweb: true, immutable: true });
+    urls.push(`__webpack_public_path__ + ${JSON.stringify(fileName)}`);
+  }
+  return createImageModule(variants, urls);
+}
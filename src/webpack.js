@@ -0,0 +1,72 @@
+const { IMPORT_QUERY, IMPORT_EXTENSIONS, isImageAsset, optimizeAssets } = require('./bundler');
+
+const PLUGIN_NAME = 'OptiwebWebpackPlugin';
+
+/**
+ * Webpack 5 plugin that optimizes the image assets of a compilation and turns
+ * image imports with `sizes`, `format` or `quality` query parameters into
+ * srcset metadata, like rollupPlugin. Imports are handled by the loader in
+ * webpack-loader.js, which the plugin registers itself.
+ */
+class OptiwebWebpackPlugin {
+  /**
+   * @param {Object} [options] - Optimization options, plus `cacheDir` (defaults to
+   *   node_modules/.cache/optiweb)
+   */
+  constructor(options = {}) {
+    // Build assets are often optimized already; a larger output must not replace them
+    this.options = { keepOriginalIfSmaller: true, ...options };
+  }
+
+  /**
+   * Registers the import loader and the asset optimization
+   * @param {Object} compiler - Webpack compiler
+   */
+  apply(compiler) {
+    const { Compilation, sources } = compiler.webpack;
+
+    // Added last, so its module type wins over asset rules that match the same image
+    compiler.options.module.rules.push({
+      test: IMPORT_EXTENSIONS,
+      resourceQuery: IMPORT_QUERY,
+      type: 'javascript/auto',
+      use: [{ loader: require.resolve('./webpack-loader'), options: this.options }],
+    });
+
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      compilation.hooks.processAssets.tapPromise(
+        { name: PLUGIN_NAME, stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE },
+        async () => {
+          // Images emitted by the loader are optimized already
+          const images = compilation
+            .getAssets()
+            .filter((asset) => isImageAsset(asset.name) && !asset.info.optiweb);
+          if (images.length === 0) {
+            return;
+          }
+
+          const { updated, emitted } = await optimizeAssets(
+            images.map((asset) => ({ fileName: asset.name, source: asset.source.buffer() })),
+            this.options,
+            compilation.outputOptions.path,
+          );
+          updated.forEach((source, fileName) => {
+            compilation.updateAsset(fileName, new sources.RawSource(source), { minimized: true });
+          });
+          emitted
+            .filter((asset) => !compilation.getAsset(asset.fileName))
+            .forEach((asset) => {
+              compilation.emitAsset(asset.fileName, new sources.RawSource(asset.source), {
+                minimized: true,
+                optiweb: true,
+              });
+            });
+        },
+      );
+    });
+  }
+}
+
+module.exports = {
+  OptiwebWebpackPlugin,
+};